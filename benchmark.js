@@ -0,0 +1,67 @@
+// Throughput of parsing ARNs and building their console links
+// ("npm run benchmark").
+//
+// node benchmark.js [--count N] [MODULE...]
+//
+// Runs N (default: 1000000) ARNs from the test corpus through each MODULE
+// (default: ./link2aws.js). To compare with an older version:
+// git show <tag>:link2aws.js > /tmp/link2aws-old.js
+// node benchmark.js /tmp/link2aws-old.js ./link2aws.js
+const path = require('path');
+
+function parseArgs(argv) {
+    var options = { count: 1000000, modules: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] == '--count') {
+            options.count = Number(argv[++i]);
+        } else {
+            options.modules.push(argv[i]);
+        }
+    }
+    if (!(options.count > 0)) {
+        throw Error('--count must be a positive number');
+    }
+    if (options.modules.length == 0) {
+        options.modules.push(path.join(__dirname, 'link2aws.js'));
+    }
+    return options;
+}
+
+// ARNs that have a console link, and ones that don't, like in real logs.
+function corpus() {
+    return Object.keys(require('./testcases/aws.json')).concat(Object.keys(require('./testcases/aws-negative.json')));
+}
+
+function run(ARN, arns, count, withLink) {
+    var links = 0;
+    var start = process.hrtime.bigint();
+    for (let i = 0; i < count; i++) {
+        try {
+            var arn = new ARN(arns[i % arns.length]);
+            if (withLink && arn.consoleLink) {
+                links++;
+            }
+        } catch (e) {
+            // invalid or unlinked ARNs are part of the mix
+        }
+    }
+    var seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    return { seconds: seconds, perSecond: count / seconds, links: links };
+}
+
+function main() {
+    var options = parseArgs(process.argv.slice(2));
+    var arns = corpus();
+    console.log(`${options.count} ARNs (${arns.length} distinct), node ${process.version}`);
+    for (const file of options.modules) {
+        var ARN = require(path.resolve(file)).ARN;
+        // warm up the JIT (and any caches)
+        run(ARN, arns, Math.min(options.count, 10000), true);
+        for (const [name, withLink] of [['new ARN()', false], ['new ARN().consoleLink', true]]) {
+            var result = run(ARN, arns, options.count, withLink);
+            console.log(`${file}: ${name}: ${result.seconds.toFixed(2)} s, ${Math.round(result.perSecond)} ARNs/s`);
+        }
+    }
+}
+
+main();
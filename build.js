@@ -0,0 +1,63 @@
+// Builds the bookmarklet and the userscript ("npm run build"), which link
+// ARNs on any web page (see linkify-page.js):
+// dist/link2aws.user.js: userscript for Tampermonkey, Violentmonkey, ...
+// dist/bookmarklet.txt: "javascript:..." URL to save as bookmark
+const fs = require('fs');
+const path = require('path');
+
+function source(file) {
+    return fs.readFileSync(path.join(__dirname, file), 'utf-8');
+}
+
+// link2aws.js and linkify-page.js as one script that runs on the page.
+// Each gets its own `exports`; `module` is a dummy so that link2aws.js
+// doesn't take itself for the command line script, even on pages that
+// define `require`.
+function bundle() {
+    return `(function () {
+var modules = {};
+var require = function (name) { return modules[name]; };
+(function (exports, module) {
+${source('link2aws.js')}
+})(modules['./link2aws.js'] = {}, {});
+(function (exports, module) {
+${source('linkify-page.js')}
+})(modules['./linkify-page.js'] = {}, {});
+modules['./linkify-page.js'].run(document);
+})();
+`;
+}
+
+function userscript() {
+    var version = JSON.parse(source('package.json')).version;
+    return `// ==UserScript==
+// @name         link2aws
+// @namespace    https://link2aws.github.io/
+// @version      ${version}
+// @description  Turns ARNs on web pages into AWS console links. Runs locally, sends nothing anywhere.
+// @homepageURL  https://github.com/link2aws/link2aws.github.io
+// @match        *://*/*
+// @grant        none
+// @run-at       document-idle
+// ==/UserScript==
+${bundle()}`;
+}
+
+function bookmarklet() {
+    return 'javascript:' + encodeURIComponent(bundle());
+}
+
+function build(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'link2aws.user.js'), userscript());
+    fs.writeFileSync(path.join(dir, 'bookmarklet.txt'), bookmarklet() + '\n');
+}
+
+exports.bundle = bundle;
+exports.userscript = userscript;
+exports.bookmarklet = bookmarklet;
+
+/* istanbul ignore if */
+if (require.main === module) {
+    build(path.join(__dirname, 'dist'));
+}
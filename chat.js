@@ -0,0 +1,160 @@
+// Slash commands ("/arn <arn>") for Slack and Mattermost, served by
+// "link2aws serve" at POST /chat/slack and POST /chat/mattermost. Both post
+// the command as form (application/x-www-form-urlencoded) and take a JSON
+// reply: a message with the console link and the ARN's parts, or an
+// ephemeral (only visible to the user) error.
+const crypto = require('crypto');
+const ARN = require('./link2aws.js').ARN;
+
+// Requests older than this are rejected, against replayed requests.
+const maxAge = 5 * 60;
+
+// Most ARNs answered per command
+const maxArns = 10;
+
+// Check a Slack request: "x-slack-signature" is "v0=" and the HMAC-SHA256
+// of "v0:<x-slack-request-timestamp>:<body>" with the app's signing secret.
+// `now` is the current time in seconds.
+// https://api.slack.com/authentication/verifying-requests-from-slack
+function verifySlackRequest(headers, body, signingSecret, now) {
+    var timestamp = headers['x-slack-request-timestamp'];
+    var signature = headers['x-slack-signature'];
+    if (!signingSecret || !/^[0-9]+$/.test(timestamp || '') || typeof (signature) != 'string') {
+        return false;
+    }
+    if (Math.abs(now - Number(timestamp)) > maxAge) {
+        return false;
+    }
+    var expected = 'v0=' + crypto.createHmac('sha256', signingSecret).update(`v0:${timestamp}:${body}`).digest('hex');
+    return signature.length == expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+// Check a Mattermost request: the form field "token" is the slash command's
+// token.
+function verifyMattermostRequest(form, token) {
+    var given = form.token;
+    return !!token && typeof (given) == 'string' && given.length == token.length && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(token));
+}
+
+function parseForm(body) {
+    return Object.fromEntries(new URLSearchParams(body));
+}
+
+// The ARNs in the command text, each as {arn, link} or {text, error}.
+// Text without any ARN is parsed as a whole, for the error message.
+function lookUp(text, options) {
+    var found = ARN.extractAll(text, options).slice(0, maxArns);
+    if (found.length == 0) {
+        var parsed = ARN.tryParse(text, options);
+        return [parsed.ok ? resultFor(text, parsed.arn, options) : { text: text, error: parsed.error }];
+    }
+    return found.map(f => resultFor(f.text, f.arn, options));
+}
+
+function resultFor(text, arn, options) {
+    var result = arn.tryConsoleLink(options);
+    return result.ok ? { text: text, arn: arn, link: result.link } : { text: text, arn: arn, error: result.error };
+}
+
+// Slack escapes: &, < and > have a meaning in message text.
+function escape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function fields(arn) {
+    return [
+        ['Service', arn.service],
+        ['Region', arn.region || '(none)'],
+        ['Account', arn.account ? arn.accountLabel + (arn.unknownAccount ? ' (unknown account)' : '') : '(none)'],
+        ['Resource', arn.resource_type ? `${arn.resource_type}/${arn.resource}` : arn.resource],
+    ];
+}
+
+function usage(command) {
+    return `Usage: \`${command || '/arn'} ARN\`, e.g. \`${command || '/arn'} arn:aws:s3:::my-bucket\``;
+}
+
+function errorText(results) {
+    return results.map(result => `No console link for \`${result.text}\`: ${result.error.message}`).join('\n');
+}
+
+// Slack reply, with Block Kit blocks.
+// https://api.slack.com/interactivity/slash-commands#responding_to_commands
+function slackResponse(text, options, command) {
+    if (!text.trim()) {
+        return { response_type: 'ephemeral', text: escape(usage(command)) };
+    }
+    var results = lookUp(text.trim(), options);
+    var linked = results.filter(result => result.link);
+    if (linked.length == 0) {
+        return { response_type: 'ephemeral', text: escape(errorText(results)) };
+    }
+
+    var blocks = [];
+    for (const result of linked) {
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `<${result.link}|${escape(result.text)}>` } });
+        blocks.push({ type: 'section', fields: fields(result.arn).map(([name, value]) => ({ type: 'mrkdwn', text: `*${name}*\n${escape(value)}` })) });
+    }
+    var failed = results.filter(result => result.error);
+    if (failed.length) {
+        blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: escape(errorText(failed)) }] });
+    }
+    return {
+        response_type: 'in_channel',
+        text: linked.map(result => result.link).join('\n'),
+        blocks: blocks,
+    };
+}
+
+// Mattermost reply, with message attachments.
+// https://developers.mattermost.com/integrate/slash-commands/custom/
+function mattermostResponse(text, options, command) {
+    if (!text.trim()) {
+        return { response_type: 'ephemeral', text: usage(command) };
+    }
+    var results = lookUp(text.trim(), options);
+    var linked = results.filter(result => result.link);
+    if (linked.length == 0) {
+        return { response_type: 'ephemeral', text: errorText(results) };
+    }
+
+    var failed = results.filter(result => result.error);
+    return {
+        response_type: 'in_channel',
+        text: failed.length ? errorText(failed) : '',
+        attachments: linked.map(result => ({
+            fallback: result.link,
+            title: result.text,
+            title_link: result.link,
+            fields: fields(result.arn).map(([name, value]) => ({ title: name, value: value, short: true })),
+        })),
+    };
+}
+
+// Handle a slash command request: {status, body} to send back as JSON.
+// options: like the ARN constructor and getConsoleLink, and
+// options.slack.signingSecret, options.mattermost.token, and options.now
+// (current time in seconds, for tests).
+function handleSlack(headers, body, options) {
+    var now = options.now ? options.now() : Date.now() / 1000;
+    if (!verifySlackRequest(headers, body, options.slack && options.slack.signingSecret, now)) {
+        return { status: 401, body: { response_type: 'ephemeral', text: 'Bad request signature' } };
+    }
+    var form = parseForm(body);
+    return { status: 200, body: slackResponse(form.text || '', options, form.command) };
+}
+
+function handleMattermost(headers, body, options) {
+    var form = parseForm(body);
+    if (!verifyMattermostRequest(form, options.mattermost && options.mattermost.token)) {
+        return { status: 401, body: { response_type: 'ephemeral', text: 'Bad token' } };
+    }
+    return { status: 200, body: mattermostResponse(form.text || '', options, form.command) };
+}
+
+exports.verifySlackRequest = verifySlackRequest;
+exports.verifyMattermostRequest = verifyMattermostRequest;
+exports.slackResponse = slackResponse;
+exports.mattermostResponse = mattermostResponse;
+exports.handleSlack = handleSlack;
+exports.handleMattermost = handleMattermost;
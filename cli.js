@@ -0,0 +1,912 @@
+// Command line interface, used by the "link2aws" script and by running
+// link2aws.js directly.
+const fs = require('fs');
+const readline = require('readline');
+const path = require('path');
+const child_process = require('child_process');
+const ARN = require('./link2aws.js').ARN;
+const TemplateRegistry = require('./link2aws.js').TemplateRegistry;
+const AccountDirectory = require('./link2aws.js').AccountDirectory;
+const UnlinkedResourceTypeError = require('./link2aws.js').UnlinkedResourceTypeError;
+const linkEvents = require('./cloudtrail.js').linkEvents;
+
+const usage = `Usage: link2aws [options] [ARN or console link...]
+       link2aws linkify [--format markdown|html|osc8] [--annotate] [--region REGION] [--templates FILE] [--accounts FILE] [--config FILE] [FILE...]
+       link2aws serve [--port PORT] [--host HOST] [--static] [--region REGION] [--templates FILE] [--accounts FILE] [--config FILE]
+       link2aws cloudtrail [--format text|json|markdown] [--region REGION] [--templates FILE] [--accounts FILE] [--config FILE] [FILE or DIRECTORY...]
+
+Converts ARNs to AWS console links, and console links back to ARNs.
+Reads one input per line from stdin (or --file) if none are given.
+
+Options:
+  -f, --file FILE      read inputs from FILE, one per line ("-" for stdin)
+  --format FORMAT      output format: text (default), json, csv, tsv
+  --account ID         account ID for console links that don't contain one
+  --kind KIND          kind of link: console (default), cloudtrail (event
+                       history), config (resource timeline),
+                       resourceExplorer, tags (Tag Editor)
+  --cli-command        print a read-only AWS CLI command that shows the
+                       resource instead of the link (with json/csv/tsv: in
+                       the extra field cli_command)
+  --region REGION      region for ARNs that don't contain one, e.g. S3
+                       buckets; links of global services (IAM, ...) are
+                       pinned to us-east-1
+  --templates FILE     load custom link templates from a JavaScript module
+  --accounts FILE      load account names from a JSON file, e.g.
+                       {"123456789012": {"name": "prod-payments",
+                       "environment": "prod", "team": "payments"}}, and
+                       print "prod-payments (123456789012)" next to each
+                       link (with json/csv/tsv: in the extra fields
+                       account_alias, account_environment, account_team
+                       and account_unknown)
+  --config FILE        load settings from a JSON file (default:
+                       $LINK2AWS_CONFIG), e.g. {"sso": {"portal": "my-portal",
+                       "roles": {"123456789012": "ReadOnly"}}} to open links
+                       through the IAM Identity Center access portal, or
+                       {"switchRole": {"roles": {"123456789012": {"roleName":
+                       "ReadOnly", "displayName": "prod"}}}} to switch role,
+                       or {"accounts": {...}} like --accounts
+  --list-supported     list services and resource types, and whether they
+                       have console links (with --json: as JSON)
+  --strict             exit with 2 if any input is not a valid ARN,
+                       or 3 if any ARN has no console link
+  --open               open each console link in the browser
+  --opener COMMAND     command used by --open (default: $LINK2AWS_OPENER,
+                       or open/xdg-open/rundll32 depending on the
+                       platform)
+  -h, --help           show this help
+
+linkify copies text from stdin (or FILEs) to stdout, line by line, and
+rewrites every ARN that has a console link into a link:
+  --format FORMAT      markdown, html, or osc8 (terminal hyperlinks; default
+                       if stdout is a terminal, otherwise markdown)
+  --annotate           mark ARNs without console link, and with
+                       --accounts, ARNs of unknown accounts
+
+serve runs an HTTP server: GET /<arn> redirects to the console link,
+GET /api/link?arn=<arn> and POST /api/links {"arns": [...]} return JSON,
+GET /health returns {"status": "ok"}. With $SLACK_SIGNING_SECRET (or
+{"slack": {"signingSecret": ...}} in the config file), POST /chat/slack
+answers Slack slash commands; with $MATTERMOST_TOKEN (or {"mattermost":
+{"token": ...}}), POST /chat/mattermost answers Mattermost ones:
+  --port PORT          port to listen on (default: $PORT, or 8080)
+  --host HOST          address to listen on (default: 127.0.0.1; 0.0.0.0
+                       for all)
+  --static             also serve the website at /
+
+cloudtrail reads CloudTrail logs from FILEs (default: stdin): log files
+from the trail's S3 bucket ({"Records": [...]}, gzipped or not; for
+directories, all .json and .json.gz files in them) or the output of "aws
+cloudtrail lookup-events". For each event it lists the principal
+(userIdentity.arn, sessionContext.sessionIssuer.arn) and the resources
+(resources[].ARN, ARNs in requestParameters and responseElements) with
+their console links:
+  --format FORMAT      text (default), json (one event per line), or
+                       markdown
+`;
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_USAGE = 1;
+const EXIT_INVALID = 2;
+const EXIT_UNSUPPORTED = 3;
+
+const kinds = ['console', 'cloudtrail', 'config', 'resourceExplorer', 'tags'];
+const columns = ['input', 'arn', 'partition', 'service', 'region', 'account', 'resource_type', 'resource', 'resource_revision', 'link', 'error_code', 'error_message'];
+
+// Go through the command line arguments of a command: calls
+// option(name, takeValue) for each option ("--name value", "--name=value",
+// "-x"), and positional(arg, escaped) for the other arguments, including
+// "-" and everything after "--" (escaped). takeValue() returns the option's
+// value.
+function parseOptions(argv, option, positional) {
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        let value;
+
+        if (arg == '--') {
+            argv.slice(i + 1).forEach(arg => positional(arg, true));
+            return;
+        }
+        if (!arg.startsWith('-') || arg == '-') {
+            positional(arg);
+            continue;
+        }
+
+        // --name=value
+        let eq = arg.indexOf('=');
+        if (arg.startsWith('--') && eq > 0) {
+            value = arg.slice(eq + 1);
+            arg = arg.slice(0, eq);
+        }
+        option(arg, () => {
+            if (typeof (value) === 'undefined') {
+                if (i + 1 >= argv.length) {
+                    throw Error(`Option ${arg} requires a value`);
+                }
+                value = argv[++i];
+            }
+            return value;
+        });
+    }
+}
+
+function parseArgs(argv) {
+    var options = {
+        inputs: [],
+        files: [],
+        format: 'text',
+        account: undefined,
+        defaultRegion: undefined,
+        kind: 'console',
+        cliCommand: false,
+        strict: false,
+        open: false,
+        opener: undefined,
+        templates: undefined,
+        accounts: undefined,
+        config: undefined,
+        listSupported: false,
+        json: false,
+        help: false,
+    };
+
+    parseOptions(argv, (arg, takeValue) => {
+        switch (arg) {
+            case '-f':
+            case '--file':
+                options.files.push(takeValue());
+                break;
+            case '--format':
+                options.format = takeValue();
+                if (!['text', 'json', 'csv', 'tsv'].includes(options.format)) {
+                    throw Error(`Unknown format: ${options.format}`);
+                }
+                break;
+            case '--account':
+                options.account = takeValue();
+                break;
+            case '--region':
+                options.defaultRegion = checkRegion(takeValue());
+                break;
+            case '--kind':
+                options.kind = takeValue();
+                if (!kinds.includes(options.kind)) {
+                    throw Error(`Unknown kind: ${options.kind}`);
+                }
+                break;
+            case '--templates':
+                options.templates = loadTemplates(takeValue());
+                break;
+            case '--accounts':
+                options.accounts = loadAccounts(takeValue());
+                break;
+            case '--config':
+                options.config = takeValue();
+                break;
+            case '--cli-command':
+                options.cliCommand = true;
+                break;
+            case '--strict':
+                options.strict = true;
+                break;
+            case '--list-supported':
+                options.listSupported = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--open':
+                options.open = true;
+                break;
+            case '--opener':
+                options.opener = takeValue();
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw Error(`Unknown option: ${arg}`);
+        }
+    }, (arg, escaped) => (arg == '-' && !escaped ? options.files : options.inputs).push(arg));
+
+    if (options.json && !options.listSupported) {
+        throw Error('--json only works with --list-supported');
+    }
+    return options;
+}
+
+// link2aws --list-supported
+function listSupported(options) {
+    var matrix = ARN.supportMatrix(options);
+    if (options.json) {
+        return JSON.stringify(matrix, null, 2) + '\n';
+    }
+
+    var output = '';
+    var total = 0;
+    var supported = 0;
+    for (const service of matrix) {
+        output += `${service.service} (${service.name})\n`;
+        for (const resourceType of service.resourceTypes) {
+            output += `  [${resourceType.supported ? 'x' : ' '}] ${resourceType.resourceType || '(no resource type)'}\n`;
+            total++;
+            supported += resourceType.supported ? 1 : 0;
+        }
+    }
+    return output + `\n${supported} of ${total} resource types in ${matrix.length} services have console links.\n`;
+}
+
+function checkRegion(region) {
+    if (!/^[a-z0-9-]+$/.test(region || '')) {
+        throw Error(`Bad region: ${region}`);
+    }
+    return region;
+}
+
+// Load settings from the config file (--config or $LINK2AWS_CONFIG) into
+// options. The config file is JSON:
+// {"sso": {"portal": ..., "roles": {account: role}, "defaultRole": ...},
+//  "switchRole": {"roles": {account: {"roleName": ..., "displayName": ...}},
+//                 "defaultRole": ...},
+//  "accounts": {account: {"name": ..., "environment": ..., "team": ...}}
+//              or the name of a file with them, relative to the config file,
+//  "slack": {"signingSecret": ...}, "mattermost": {"token": ...}}
+// --accounts takes precedence over the config file.
+function loadConfig(options, env) {
+    var file = options.config || env.LINK2AWS_CONFIG;
+    if (!file) {
+        return;
+    }
+    var config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (config.sso) {
+        options.sso = config.sso;
+    }
+    if (config.switchRole) {
+        options.switchRole = config.switchRole;
+    }
+    for (const key of ['slack', 'mattermost']) {
+        if (config[key]) {
+            options[key] = config[key];
+        }
+    }
+    if (config.accounts && !options.accounts) {
+        options.accounts = typeof (config.accounts) == 'string'
+            ? loadAccounts(path.resolve(path.dirname(file), config.accounts))
+            : new AccountDirectory(config.accounts);
+    }
+}
+
+// Load account names (see AccountDirectory) from a JSON file.
+function loadAccounts(file) {
+    try {
+        return AccountDirectory.fromJSON(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        throw Error(`${file}: ${e.message}`);
+    }
+}
+
+// Load custom templates. The module exports either an object
+// {service: {resourceType: fn}} or a function that is called with a
+// TemplateRegistry to register them.
+function loadTemplates(file) {
+    var templates = require(path.resolve(file));
+    var registry = new TemplateRegistry();
+    if (typeof (templates) == 'function') {
+        templates(registry);
+    } else {
+        registry.registerTemplates(templates);
+    }
+    return registry;
+}
+
+// Convert one input line (ARN or console link) into an output record.
+function convert(input, options) {
+    var record = {
+        input: input,
+        arn: null,
+        partition: null,
+        service: null,
+        region: null,
+        account: null,
+        resource_type: null,
+        resource: null,
+        resource_revision: null,
+        link: null,
+        error: null,
+    };
+
+    var arn;
+    try {
+        arn = input.startsWith('https://') ? ARN.fromConsoleLink(input, options.account) : new ARN(input, options);
+    } catch (e) {
+        record.error = { code: e.code, message: e.message };
+        return record;
+    }
+
+    record.arn = arn.arn;
+    record.partition = arn.partition;
+    record.service = arn.service;
+    record.region = arn.region;
+    record.account = arn.account;
+    record.resource_type = arn.resource_type;
+    record.resource = arn.resource;
+    record.resource_revision = arn.resource_revision;
+    if (options.accounts) {
+        var account = arn.accountInfo;
+        record.account_alias = account && account.name;
+        record.account_environment = account && account.environment;
+        record.account_team = account && account.team;
+        record.account_unknown = arn.unknownAccount;
+    }
+
+    // The error is the link's; with --cli-command, the command's if only
+    // that one failed.
+    var linkResult = !options.kind || options.kind == 'console' ? arn.tryConsoleLink(options) : otherLink(arn, options);
+    var commandResult = { ok: true };
+    if (linkResult.ok) {
+        record.link = linkResult.link;
+    }
+    if (options.cliCommand) {
+        record.cli_command = null;
+        commandResult = cliCommand(arn);
+        if (commandResult.ok) {
+            record.cli_command = commandResult.link;
+        }
+    }
+    var failed = !linkResult.ok ? linkResult : !commandResult.ok ? commandResult : null;
+    if (failed) {
+        record.error = { code: failed.error.code, message: failed.error.message };
+        if (failed.error.suggestions) {
+            record.error.suggestions = failed.error.suggestions;
+        }
+    }
+
+    return record;
+}
+
+// Link of another kind than console (see ARN.getLinks), as
+// tryConsoleLink would return it.
+function otherLink(arn, options) {
+    try {
+        var link = arn.getLinks(options)[options.kind];
+        if (!link) {
+            throw new UnlinkedResourceTypeError(arn.service, arn.resource_type);
+        }
+        return { ok: true, link: link };
+    } catch (e) {
+        return { ok: false, error: e };
+    }
+}
+
+// AWS CLI command (see ARN.cliCommand), in the same form.
+function cliCommand(arn) {
+    try {
+        var command = arn.cliCommand;
+        if (!command) {
+            throw new UnlinkedResourceTypeError(arn.service, arn.resource_type);
+        }
+        return { ok: true, link: command };
+    } catch (e) {
+        return { ok: false, error: e };
+    }
+}
+
+function csvField(value) {
+    value = value === null ? '' : String(value);
+    if (/[",\r\n]/.test(value)) {
+        return `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+}
+
+function tsvField(value) {
+    return value === null ? '' : String(value).replace(/[\t\r\n]/g, ' ');
+}
+
+function columnsFor(options) {
+    return columns
+        .concat(options.accounts ? ['account_alias', 'account_environment', 'account_team', 'account_unknown'] : [])
+        .concat(options.cliCommand ? ['cli_command'] : []);
+}
+
+function row(record, options) {
+    return columnsFor(options).map(column => {
+        switch (column) {
+            case 'error_code':
+                return record.error && record.error.code;
+            case 'error_message':
+                return record.error && record.error.message;
+            default:
+                return record[column];
+        }
+    }).map(value => typeof (value) === 'undefined' ? null : value);
+}
+
+function header(options) {
+    switch (options.format) {
+        case 'csv':
+            return columnsFor(options).join(',') + '\n';
+        case 'tsv':
+            return columnsFor(options).join('\t') + '\n';
+        default:
+            return '';
+    }
+}
+
+// Format a record. Returns [stdout text, stderr text].
+function format(record, options) {
+    switch (options.format) {
+        case 'json':
+            return [JSON.stringify(record) + '\n', ''];
+        case 'csv':
+            return [row(record, options).map(csvField).join(',') + '\n', ''];
+        case 'tsv':
+            return [row(record, options).map(tsvField).join('\t') + '\n', ''];
+        default:
+            // with --cli-command, the command even if there is no link
+            if (record.error && !(options.cliCommand && record.cli_command)) {
+                return ['', `link2aws: ${record.input}: ${record.error.message}\n`];
+            }
+            // console link in, ARN out
+            if (record.input.startsWith('https://')) {
+                return [record.arn + '\n', ''];
+            }
+            return [(options.cliCommand ? record.cli_command : record.link) + accountLabel(record, options) + '\n', ''];
+    }
+}
+
+// With --accounts: "\tprod-payments (123456789012)" to follow the link in
+// text output, or "\tunknown account (123456789012)".
+function accountLabel(record, options) {
+    if (!options.accounts || !record.account || !(record.account_alias || record.account_unknown)) {
+        return '';
+    }
+    return `\t${record.account_alias || 'unknown account'} (${record.account})`;
+}
+
+function defaultOpener(platform) {
+    switch (platform) {
+        case 'darwin':
+            return 'open';
+        case 'win32':
+            // not "cmd /c start", which would cut the link at "&"
+            return 'rundll32 url.dll,FileProtocolHandler';
+        default:
+            return 'xdg-open';
+    }
+}
+
+// Open a link with the opener command. The link is passed as the last
+// argument, never through a shell.
+function open(link, options, io) {
+    var command = (options.opener || io.env.LINK2AWS_OPENER || defaultOpener(io.platform)).split(/\s+/).filter(x => x);
+    var child = io.spawn(command[0], command.slice(1).concat([link]), { detached: true, stdio: 'ignore' });
+    child.on('error', e => io.stderr.write(`link2aws: cannot open ${link}: ${e.message}\n`));
+    child.unref();
+}
+
+// Write to stdout, waiting while its buffer is full: the input can be
+// unbounded (tail -f, large log sets), and the reader slow (less).
+async function write(io, text) {
+    if (io.stdout.write(text) === false) {
+        await new Promise(resolve => io.stdout.once('drain', resolve));
+    }
+}
+
+async function* lines(stream) {
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    for await (const line of rl) {
+        yield line;
+    }
+}
+
+async function* inputs(options, io) {
+    yield* options.inputs;
+
+    var files = options.files;
+    if (options.inputs.length == 0 && files.length == 0) {
+        files = ['-'];
+    }
+    for (const file of files) {
+        const stream = file == '-' ? io.stdin : fs.createReadStream(file);
+        for await (const line of lines(stream)) {
+            yield line;
+        }
+    }
+}
+
+// link2aws linkify [options] [FILE...]
+async function linkify(argv, io) {
+    var options = {
+        format: io.stdout.isTTY ? 'osc8' : 'markdown',
+        annotate: false,
+    };
+    var files = [];
+    var help = false;
+
+    try {
+        parseOptions(argv, (arg, takeValue) => {
+            switch (arg) {
+                case '--format':
+                    options.format = takeValue();
+                    if (!['markdown', 'html', 'osc8'].includes(options.format)) {
+                        throw Error(`Unknown format: ${options.format}`);
+                    }
+                    break;
+                case '--annotate':
+                    options.annotate = true;
+                    break;
+                case '--region':
+                    options.defaultRegion = checkRegion(takeValue());
+                    break;
+                case '--templates':
+                    options.templates = loadTemplates(takeValue());
+                    break;
+                case '--accounts':
+                    options.accounts = loadAccounts(takeValue());
+                    break;
+                case '--config':
+                    options.config = takeValue();
+                    break;
+                case '-h':
+                case '--help':
+                    help = true;
+                    break;
+                default:
+                    throw Error(`Unknown option: ${arg}`);
+            }
+        }, arg => files.push(arg));
+    } catch (e) {
+        io.stderr.write(`link2aws: ${e.message}\n${usage}`);
+        return EXIT_USAGE;
+    }
+    if (help) {
+        io.stdout.write(usage);
+        return EXIT_OK;
+    }
+    if (files.length == 0) {
+        files.push('-');
+    }
+
+    try {
+        loadConfig(options, io.env);
+        for (const file of files) {
+            const stream = file == '-' ? io.stdin : fs.createReadStream(file);
+            for await (const line of lines(stream)) {
+                await write(io, ARN.linkify(line, options) + '\n');
+            }
+        }
+    } catch (e) {
+        io.stderr.write(`link2aws: ${e.message}\n`);
+        return EXIT_USAGE;
+    }
+    return EXIT_OK;
+}
+
+// link2aws serve [options]. Resolves to the exit code when the server
+// is closed (io.onListening gets the server, for tests).
+async function serve(argv, io) {
+    var options = {
+        port: io.env.PORT || '8080',
+        host: '127.0.0.1',
+        static: undefined,
+    };
+    var help = false;
+
+    try {
+        parseOptions(argv, (arg, takeValue) => {
+            switch (arg) {
+                case '--port':
+                    options.port = takeValue();
+                    break;
+                case '--host':
+                    options.host = takeValue();
+                    break;
+                case '--static':
+                    options.static = __dirname;
+                    break;
+                case '--region':
+                    options.defaultRegion = checkRegion(takeValue());
+                    break;
+                case '--templates':
+                    options.templates = loadTemplates(takeValue());
+                    break;
+                case '--accounts':
+                    options.accounts = loadAccounts(takeValue());
+                    break;
+                case '--config':
+                    options.config = takeValue();
+                    break;
+                case '-h':
+                case '--help':
+                    help = true;
+                    break;
+                default:
+                    throw Error(`Unknown option: ${arg}`);
+            }
+        }, arg => {
+            throw Error(`Unexpected argument: ${arg}`);
+        });
+        if (!/^[0-9]+$/.test(options.port) || Number(options.port) > 65535) {
+            throw Error(`Bad port: ${options.port}`);
+        }
+    } catch (e) {
+        io.stderr.write(`link2aws: ${e.message}\n${usage}`);
+        return EXIT_USAGE;
+    }
+    if (help) {
+        io.stdout.write(usage);
+        return EXIT_OK;
+    }
+    try {
+        loadConfig(options, io.env);
+    } catch (e) {
+        io.stderr.write(`link2aws: ${e.message}\n`);
+        return EXIT_USAGE;
+    }
+    // Secrets from the environment rather than the command line, where
+    // other users could see them.
+    if (io.env.SLACK_SIGNING_SECRET) {
+        options.slack = { signingSecret: io.env.SLACK_SIGNING_SECRET };
+    }
+    if (io.env.MATTERMOST_TOKEN) {
+        options.mattermost = { token: io.env.MATTERMOST_TOKEN };
+    }
+
+    var server = require('./server.js').createServer(options);
+    return new Promise(resolve => {
+        server.on('error', e => {
+            io.stderr.write(`link2aws: ${e.message}\n`);
+            resolve(EXIT_USAGE);
+        });
+        server.on('close', () => resolve(EXIT_OK));
+        server.listen(Number(options.port), options.host, () => {
+            var address = server.address();
+            io.stderr.write(`link2aws: listening on http://${address.family == 'IPv6' ? `[${address.address}]` : address.address}:${address.port}/\n`);
+            if (io.onListening) {
+                io.onListening(server);
+            }
+        });
+    });
+}
+
+// CloudTrail log files: `file` itself, or the .json and .json.gz files in
+// it if it is a directory (like the AWSLogs/ folder of a trail's bucket),
+// in order of their names. Digest files are left out.
+async function* logFiles(file) {
+    if (file == '-' || !(await fs.promises.stat(file)).isDirectory()) {
+        yield file;
+        return;
+    }
+    var entries = await fs.promises.readdir(file, { withFileTypes: true });
+    entries.sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+    for (const entry of entries) {
+        var name = path.join(file, entry.name);
+        if (entry.isDirectory() && entry.name != 'CloudTrail-Digest') {
+            yield* logFiles(name);
+        } else if (entry.isFile() && /\.json(\.gz)?$/.test(entry.name)) {
+            yield name;
+        }
+    }
+}
+
+// Format an event of "link2aws cloudtrail" (see linkEvent in
+// cloudtrail.js).
+function formatEvent(event, options) {
+    var entries = event.principals.map(entry => ['principal', entry])
+        .concat(event.resources.map(entry => ['resource', entry]));
+    switch (options.format) {
+        case 'json':
+            return JSON.stringify(event) + '\n';
+        case 'markdown':
+            var title = [event.eventTime, event.eventName, event.eventSource && `(${event.eventSource})`].filter(x => x).join(' ');
+            return `### ${title || 'Event'}\n\n` + entries.map(([kind, entry]) => `- ${kind}: ${markdownEntry(entry)}\n`).join('') + '\n';
+        default:
+            return [event.eventTime, event.eventSource, event.eventName, event.eventID].filter(x => x).join(' ') + '\n' + entries.map(([kind, entry]) =>
+                `  ${kind}\t${entry.arn}\t${entry.link || `no console link: ${entry.error.message}`}${accountLabel(Object.assign({ account: entry.arn.split(':')[4] }, entry), options)}\n`).join('');
+    }
+}
+
+// Like ARN.linkify with --annotate.
+function markdownEntry(entry) {
+    if (!entry.link) {
+        return `\`${entry.arn}\` (no console link)`;
+    }
+    var title = entry.account_alias ? ` "${entry.account_alias.replace(/"/g, '\\"')}"` : '';
+    return `[${entry.arn.replace(/[\\*_]/g, '\\$&')}](${entry.link}${title})`;
+}
+
+// link2aws cloudtrail [options] [FILE or DIRECTORY...]
+async function cloudtrail(argv, io) {
+    var options = { format: 'text' };
+    var files = [];
+    var help = false;
+
+    try {
+        parseOptions(argv, (arg, takeValue) => {
+            switch (arg) {
+                case '--format':
+                    options.format = takeValue();
+                    if (!['text', 'json', 'markdown'].includes(options.format)) {
+                        throw Error(`Unknown format: ${options.format}`);
+                    }
+                    break;
+                case '--region':
+                    options.defaultRegion = checkRegion(takeValue());
+                    break;
+                case '--templates':
+                    options.templates = loadTemplates(takeValue());
+                    break;
+                case '--accounts':
+                    options.accounts = loadAccounts(takeValue());
+                    break;
+                case '--config':
+                    options.config = takeValue();
+                    break;
+                case '-h':
+                case '--help':
+                    help = true;
+                    break;
+                default:
+                    throw Error(`Unknown option: ${arg}`);
+            }
+        }, arg => files.push(arg));
+    } catch (e) {
+        io.stderr.write(`link2aws: ${e.message}\n${usage}`);
+        return EXIT_USAGE;
+    }
+    if (help) {
+        io.stdout.write(usage);
+        return EXIT_OK;
+    }
+    try {
+        loadConfig(options, io.env);
+    } catch (e) {
+        io.stderr.write(`link2aws: ${e.message}\n`);
+        return EXIT_USAGE;
+    }
+    // Nothing to do, and nothing piped in either
+    if (files.length == 0 && io.stdin.isTTY) {
+        io.stderr.write(usage);
+        return EXIT_USAGE;
+    }
+    if (files.length == 0) {
+        files.push('-');
+    }
+
+    // A bad file doesn't stop the others from being read.
+    var failed = false;
+    const linkFile = async (file) => {
+        try {
+            var input = file == '-' ? io.stdin : fs.createReadStream(file);
+            for await (const event of linkEvents(input, options)) {
+                await write(io, formatEvent(event, options));
+            }
+        } catch (e) {
+            io.stderr.write(`link2aws: ${file}: ${e.message}\n`);
+            failed = true;
+        }
+    };
+    for (const file of files) {
+        try {
+            for await (const name of logFiles(file)) {
+                await linkFile(name);
+            }
+        } catch (e) {
+            io.stderr.write(`link2aws: ${e.message}\n`);
+            failed = true;
+        }
+    }
+    return failed ? EXIT_USAGE : EXIT_OK;
+}
+
+// Run the command line tool. Resolves to the exit code.
+// `io` can replace stdin/stdout/stderr, environment and process spawning
+// (for testing).
+async function main(argv, io) {
+    io = Object.assign({
+        stdin: process.stdin,
+        stdout: process.stdout,
+        stderr: process.stderr,
+        env: process.env,
+        platform: process.platform,
+        spawn: child_process.spawn,
+    }, io);
+
+    if (argv[0] == 'linkify') {
+        return linkify(argv.slice(1), io);
+    }
+    if (argv[0] == 'serve') {
+        return serve(argv.slice(1), io);
+    }
+    if (argv[0] == 'cloudtrail') {
+        return cloudtrail(argv.slice(1), io);
+    }
+
+    var options;
+    try {
+        options = parseArgs(argv);
+    } catch (e) {
+        io.stderr.write(`link2aws: ${e.message}\n${usage}`);
+        return EXIT_USAGE;
+    }
+
+    // neither needs the config file, so a broken one doesn't get in the way
+    if (options.help) {
+        io.stdout.write(usage);
+        return EXIT_OK;
+    }
+
+    if (options.listSupported) {
+        io.stdout.write(listSupported(options));
+        return EXIT_OK;
+    }
+
+    try {
+        loadConfig(options, io.env);
+    } catch (e) {
+        io.stderr.write(`link2aws: ${e.message}\n`);
+        return EXIT_USAGE;
+    }
+
+    // Nothing to do, and nothing piped in either
+    if (options.inputs.length == 0 && options.files.length == 0 && io.stdin.isTTY) {
+        io.stderr.write(usage);
+        return EXIT_USAGE;
+    }
+
+    var invalid = false;
+    var unsupported = false;
+    await write(io, header(options));
+    try {
+        for await (const line of inputs(options, io)) {
+            const input = line.trim();
+            if (input == '') {
+                continue;
+            }
+
+            const record = convert(input, options);
+            const [out, err] = format(record, options);
+            await write(io, out);
+            io.stderr.write(err);
+
+            if (record.error && ['INVALID_ARN', 'INVALID_CONSOLE_LINK'].includes(record.error.code)) {
+                invalid = true;
+            } else if (record.error) {
+                unsupported = true;
+            } else if (options.open && record.link) {
+                open(record.link, options, io);
+            }
+        }
+    } catch (e) {
+        io.stderr.write(`link2aws: ${e.message}\n`);
+        return EXIT_USAGE;
+    }
+
+    if (options.strict && invalid) {
+        return EXIT_INVALID;
+    }
+    if (options.strict && unsupported) {
+        return EXIT_UNSUPPORTED;
+    }
+    return EXIT_OK;
+}
+
+// Entry point for the scripts: run with the process arguments and set the
+// exit code.
+function run() {
+    // Output piped into e.g. "head" which exited: stop quietly.
+    process.stdout.on('error', e => {
+        if (e.code == 'EPIPE') {
+            process.exit(process.exitCode || EXIT_OK);
+        }
+        throw e;
+    });
+    main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+exports.main = main;
+exports.run = run;
+exports.convert = convert;
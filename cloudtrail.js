@@ -0,0 +1,281 @@
+// CloudTrail events with console links for everything they touch, for
+// "link2aws cloudtrail". Reads log files as CloudTrail delivers them to S3
+// ({"Records": [...]}, gzipped or not) and the output of
+// "aws cloudtrail lookup-events" ({"Events": [...]}) one event at a time,
+// so that log sets of any size can be read.
+const zlib = require('zlib');
+const stream = require('stream');
+const ARN = require('./link2aws.js').ARN;
+
+// Keys of the arrays of events: log files, lookup-events output
+const eventArrays = ['Records', 'Events'];
+
+// ARNs whose links are remembered while reading, as the same principals
+// and resources come up again and again.
+const maxCached = 10000;
+
+// Splits JSON text into events as it arrives: the elements of a top-level
+// "Records" or "Events" array, or of a top-level array, or else each
+// top-level object (one event per line, e.g. from jq -c '.Records[]').
+// Only the event being read is kept in memory.
+class EventSplitter {
+    constructor() {
+        this._depth = 0;
+        this._inString = false;
+        this._escape = false;
+        // strings directly in the top-level object: the last one is the key
+        // of the value that follows if a ":" comes after it
+        this._string = null;
+        this._key = null;
+        // depth of the elements of the array of events, or -1
+        this._elementDepth = -1;
+        // the event being read: its start in the current text, and earlier
+        // parts of it
+        this._start = -1;
+        this._parts = [];
+    }
+
+    // Push the next piece of text, returns the events completed by it.
+    push(text) {
+        var events = [];
+        for (let i = 0; i < text.length; i++) {
+            var c = text[i];
+            if (this._inString) {
+                if (this._escape) {
+                    this._escape = false;
+                } else if (c == '\\') {
+                    this._escape = true;
+                } else if (c == '"') {
+                    this._inString = false;
+                    continue;
+                }
+                if (this._string !== null) {
+                    this._string += c;
+                }
+                continue;
+            }
+
+            if (this._depth == 0 && c != '{' && c != '[' && !/\s/.test(c)) {
+                throw Error('Expected CloudTrail events, e.g. {"Records": [...]}');
+            }
+            switch (c) {
+                case '"':
+                    this._inString = true;
+                    this._string = this._depth == 1 ? '' : null;
+                    break;
+                case ':':
+                    if (this._depth == 1) {
+                        this._key = this._string;
+                    }
+                    break;
+                case '{':
+                case '[':
+                    if (this._depth == 0 && c == '[') {
+                        this._elementDepth = 1;
+                    } else if (this._depth == 0 || this._depth == this._elementDepth) {
+                        this._start = i;
+                    } else if (this._depth == 1 && c == '[' && this._elementDepth < 0 && eventArrays.includes(this._key)) {
+                        // {"Records": [...]}: the events are in here, not
+                        // the object itself
+                        this._elementDepth = 2;
+                        this._start = -1;
+                        this._parts = [];
+                    }
+                    this._depth++;
+                    break;
+                case '}':
+                case ']':
+                    this._depth--;
+                    if (this._depth == this._elementDepth - 1) {
+                        this._elementDepth = -1;
+                    } else if (this._start >= 0 && (this._depth == 0 || this._depth == this._elementDepth)) {
+                        this._parts.push(text.slice(this._start, i + 1));
+                        events.push(JSON.parse(this._parts.join('')));
+                        this._start = -1;
+                        this._parts = [];
+                    }
+                    break;
+            }
+        }
+        if (this._start >= 0) {
+            this._parts.push(text.slice(this._start));
+            this._start = 0;
+        }
+        return events;
+    }
+
+    // Check that the text ended with the last event.
+    end() {
+        if (this._depth != 0 || this._inString) {
+            throw Error('Unexpected end of JSON');
+        }
+    }
+}
+
+function isGzip(chunk) {
+    return chunk[0] === 0x1f && chunk[1] === 0x8b;
+}
+
+// The chunks of `input`, decompressed if it is gzipped.
+async function* decompress(input) {
+    var iterator = (input[Symbol.asyncIterator] || input[Symbol.iterator]).call(input);
+    try {
+        var first = await iterator.next();
+        if (first.done) {
+            return;
+        }
+        var chunks = (async function* () {
+            yield first.value;
+            for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+                yield next.value;
+            }
+        })();
+        if (isGzip(first.value)) {
+            yield* stream.pipeline(stream.Readable.from(chunks), zlib.createGunzip(), () => {});
+        } else {
+            yield* chunks;
+        }
+    } finally {
+        if (iterator.return) {
+            await iterator.return();
+        }
+    }
+}
+
+// An event of lookup-events output as CloudTrail record: the JSON in
+// CloudTrailEvent, or what the event has if that was left out (--query).
+// Its resources are the ones given by ARN.
+function fromLookupEvent(event) {
+    if (typeof (event.CloudTrailEvent) == 'string') {
+        return JSON.parse(event.CloudTrailEvent);
+    }
+    return {
+        eventID: event.EventId,
+        eventTime: event.EventTime,
+        eventSource: event.EventSource,
+        eventName: event.EventName,
+        resources: (event.Resources || [])
+            .filter(resource => typeof (resource.ResourceName) == 'string' && resource.ResourceName.startsWith('arn:'))
+            .map(resource => ({ ARN: resource.ResourceName, type: resource.ResourceType })),
+    };
+}
+
+// The CloudTrail records in `input`: a readable stream (e.g.
+// fs.createReadStream(file), or an S3 object's body) or any iterable of
+// Buffers or strings, gzipped or not.
+async function* readRecords(input) {
+    var splitter = new EventSplitter();
+    var decoder = new TextDecoder('utf-8');
+    for await (const chunk of decompress(input)) {
+        var text = typeof (chunk) == 'string' ? chunk : decoder.decode(chunk, { stream: true });
+        for (const event of splitter.push(text)) {
+            yield 'EventId' in event || 'CloudTrailEvent' in event ? fromLookupEvent(event) : event;
+        }
+    }
+    splitter.push(decoder.decode());
+    splitter.end();
+}
+
+// Call fn(field, value) for each string in `value`, e.g.
+// ("requestParameters.policyArn", "arn:aws:iam::aws:policy/...").
+function walk(value, field, fn) {
+    if (typeof (value) == 'string') {
+        fn(field, value);
+    } else if (Array.isArray(value)) {
+        value.forEach((element, i) => walk(element, `${field}[${i}]`, fn));
+    } else if (value && typeof (value) == 'object') {
+        for (const [key, element] of Object.entries(value)) {
+            walk(element, `${field}.${key}`, fn);
+        }
+    }
+}
+
+// Function that links an ARN: returns {arn, link} or {arn, link: null,
+// error: {code, message}}, and with options.accounts the account fields of
+// "link2aws --format json" (account_alias, ...).
+function linker(options) {
+    var cache = new Map();
+    return (text) => {
+        if (!cache.has(text)) {
+            if (cache.size >= maxCached) {
+                cache.clear();
+            }
+            var parsed = ARN.tryParse(text, options);
+            var result = parsed.ok ? parsed.arn.tryConsoleLink(options) : parsed;
+            var entry = { arn: text, link: result.ok ? result.link : null };
+            if (!result.ok) {
+                entry.error = { code: result.error.code, message: result.error.message };
+            }
+            if (options.accounts && parsed.ok) {
+                var account = parsed.arn.accountInfo;
+                entry.account_alias = account && account.name;
+                entry.account_environment = account && account.environment;
+                entry.account_team = account && account.team;
+                entry.account_unknown = parsed.arn.unknownAccount;
+            }
+            cache.set(text, entry);
+        }
+        return cache.get(text);
+    };
+}
+
+function eventLinks(record, link) {
+    var seen = new Set();
+    var add = (list, field, text) => {
+        if (typeof (text) != 'string' || !text.trim().startsWith('arn:') || seen.has(text.trim())) {
+            return;
+        }
+        seen.add(text.trim());
+        list.push(Object.assign({ field: field }, link(text.trim())));
+    };
+
+    var principals = [];
+    var identity = record.userIdentity || {};
+    var issuer = identity.sessionContext && identity.sessionContext.sessionIssuer;
+    add(principals, 'userIdentity.arn', identity.arn);
+    add(principals, 'userIdentity.sessionContext.sessionIssuer.arn', issuer && issuer.arn);
+
+    var resources = [];
+    if (Array.isArray(record.resources)) {
+        record.resources.forEach((resource, i) => add(resources, `resources[${i}].ARN`, resource && resource.ARN));
+    }
+    for (const field of ['requestParameters', 'responseElements']) {
+        walk(record[field], field, (field, value) => add(resources, field, value));
+    }
+
+    return {
+        eventID: record.eventID || null,
+        eventTime: record.eventTime || null,
+        eventSource: record.eventSource || null,
+        eventName: record.eventName || null,
+        awsRegion: record.awsRegion || null,
+        principals: principals,
+        resources: resources,
+    };
+}
+
+// The principal and the resources of a CloudTrail record, with their
+// console links: {eventID, eventTime, eventSource, eventName, awsRegion,
+// principals, resources}. principals are from userIdentity.arn and
+// userIdentity.sessionContext.sessionIssuer.arn, resources from
+// resources[].ARN and the ARNs in requestParameters and responseElements.
+// Each is {field, arn, link} or {field, arn, link: null, error}, where field
+// is where the ARN was found, e.g. "requestParameters.roleArn"; an ARN is
+// listed once per event.
+// options: like the ARN constructor and getConsoleLink (templates, sso,
+// accounts, ...).
+function linkEvent(record, options) {
+    return eventLinks(record, linker(options || {}));
+}
+
+// linkEvent for each record in `input` (see readRecords).
+async function* linkEvents(input, options) {
+    var link = linker(options || {});
+    for await (const record of readRecords(input)) {
+        yield eventLinks(record, link);
+    }
+}
+
+exports.readRecords = readRecords;
+exports.linkEvent = linkEvent;
+exports.linkEvents = linkEvents;
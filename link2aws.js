@@ -1,9 +1,113 @@
+// Errors thrown by ARN. Tell them apart by class or by their stable `code`.
+class ARNError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+
+    // Define property `name`, computed by `compute` when it is first read.
+    _defineLazy(name, compute, enumerable) {
+        Object.defineProperty(this, name, {
+            get: () => {
+                var value = compute();
+                Object.defineProperty(this, name, { value: value, writable: true, enumerable: enumerable, configurable: true });
+                return value;
+            },
+            enumerable: enumerable,
+            configurable: true,
+        });
+    }
+
+    static _didYouMean(suggestions) {
+        return suggestions && suggestions.length ? ` (did you mean ${suggestions.join(', ')}?)` : '';
+    }
+}
+
+// Not an ARN: wrong type, too long, bad characters, bad structure.
+// position: index of the offending character in the (trimmed) input, if
+// there is one.
+class InvalidARNError extends ARNError {
+    constructor(message, position) {
+        super(message, 'INVALID_ARN');
+        this.position = position;
+    }
+}
+
+// Valid ARN, but the partition is not one we know the console for.
+class UnsupportedPartitionError extends ARNError {
+    constructor(partition) {
+        super(`Bad/unsupported AWS partition: ${partition}`, 'UNSUPPORTED_PARTITION');
+        this.partition = partition;
+    }
+}
+
+// Valid ARN, but the service is not in the template table.
+// suggestions: similar services, or a function that returns them. They are
+// slow to find, so they (and the message that lists them) are only looked
+// for when read.
+class UnknownServiceError extends ARNError {
+    constructor(service, suggestions) {
+        super(undefined, 'UNKNOWN_SERVICE');
+        this.service = service;
+        this._defineLazy('suggestions', typeof (suggestions) === 'function' ? suggestions : () => suggestions, true);
+        this._defineLazy('message', () => `AWS service ${service} unknown${ARNError._didYouMean(this.suggestions)}`, false);
+    }
+}
+
+// Known service, but the resource type is not in the template table.
+// suggestions: like for UnknownServiceError.
+class UnknownResourceTypeError extends ARNError {
+    constructor(service, resourceType, suggestions) {
+        super(undefined, 'UNKNOWN_RESOURCE_TYPE');
+        this.service = service;
+        this.resourceType = resourceType;
+        this._defineLazy('suggestions', typeof (suggestions) === 'function' ? suggestions : () => suggestions, true);
+        this._defineLazy('message', () => `AWS service ${service} resource type ${resourceType} not supported${ARNError._didYouMean(this.suggestions)}`, false);
+    }
+}
+
+// Known service and resource type, but we have no link for it (yet).
+class UnlinkedResourceTypeError extends ARNError {
+    constructor(service, resourceType) {
+        super(`AWS service ${service} resource type ${resourceType} not supported`, 'RESOURCE_TYPE_NOT_LINKED');
+        this.service = service;
+        this.resourceType = resourceType;
+    }
+}
+
+// Known partition, but the resource type's console is not available there.
+class UnavailableInPartitionError extends ARNError {
+    constructor(partition, service, resourceType) {
+        super(`AWS service ${service} resource type ${resourceType} not available in partition ${partition}`, 'NOT_AVAILABLE_IN_PARTITION');
+        this.partition = partition;
+        this.service = service;
+        this.resourceType = resourceType;
+    }
+}
+
+// Resource type is linked, but the resource doesn't look right for it.
+class InvalidResourceError extends ARNError {
+    constructor(message) {
+        super(message, 'INVALID_RESOURCE');
+    }
+}
+
+// Console link that ARN.fromConsoleLink can't turn into an ARN.
+class InvalidConsoleLinkError extends ARNError {
+    constructor(message) {
+        super(message, 'INVALID_CONSOLE_LINK');
+    }
+}
+
 // https://docs.aws.amazon.com/general/latest/gr/aws-arns-and-namespaces.html
 // https://docs.aws.amazon.com/AWSEC2/latest/UserGuide/resource-ids.html
 class ARN {
-    constructor(text) {
+    // options.templates: TemplateRegistry with custom templates, which take
+    // precedence over the built-in ones.
+    constructor(text, options) {
         if (typeof(text) != 'string') {
-            throw Error("ARN must be a string");
+            throw new InvalidARNError("ARN must be a string");
         }
 
         text = text.trim();
@@ -14,7 +118,7 @@ class ARN {
         // Please file an issue if you can find a resource type
         // with a higher documented limit.
         if (text.length > 2048) {
-            throw Error("ARN too long");
+            throw new InvalidARNError("ARN too long");
         }
 
         // Check for invalid characters.
@@ -22,8 +126,9 @@ class ARN {
         // catch all invalid ARNs, as some resource types have
         // stricter rules. Please file an issue if you are aware
         // of a valid ARN that is rejected by this check.
-        if (!/^[a-zA-Z0-9:/+=,.@_*#\-]*$/.test(text)) {
-            throw Error("ARN contains invalid characters");
+        var invalid = /[^a-zA-Z0-9:/+=,.@_*#\-]/u.exec(text);
+        if (invalid) {
+            throw new InvalidARNError(`ARN contains invalid character ${JSON.stringify(invalid[0])} at position ${invalid.index}`, invalid.index);
         }
 
         // split into tokens; leaving resource-id with colons together
@@ -42,6 +147,13 @@ class ARN {
         this.account = tokens[4];
         this.resource_revision = '';
 
+        // How the resource part is written, so that `string` can restore it
+        // exactly: resource type separator ('/', ':' or none), leading '/'
+        // (apigateway), and ':' before the revision.
+        this._typeSeparator = '';
+        this._slashPrefixed = false;
+        this._hasRevision = false;
+
         // ...:resource-type:resource-id (resource-id can contain colons!)
         if (typeof (tokens[6]) != 'undefined') {
             if (tokens[5].indexOf('/') > 0) {
@@ -49,11 +161,14 @@ class ARN {
                 this.resource = tokens[5].slice(tokens[5].indexOf('/') + 1, tokens[5].length);
                 this.resource_revision = tokens[6]
                 this.hasPath = true;
+                this._typeSeparator = '/';
+                this._hasRevision = true;
             }
             else{
                 this.resource_type = tokens[5];
                 this.resource = tokens[6];
                 this.hasPath = false;
+                this._typeSeparator = ':';
             }
         }
 
@@ -63,10 +178,12 @@ class ARN {
         else if (typeof (tokens[5]) != 'undefined' && tokens[5].slice(1).indexOf('/') >= 0) {
             if (tokens[5].startsWith('/')) {
                 tokens[5] = tokens[5].slice(1);
+                this._slashPrefixed = true;
             }
             this.resource_type = tokens[5].slice(0, tokens[5].indexOf('/'));
             this.resource = tokens[5].slice(tokens[5].indexOf('/') + 1, tokens[5].length);
             this.hasPath = true;
+            this._typeSeparator = '/';
         }
 
         // ...:resource-id
@@ -78,45 +195,169 @@ class ARN {
 
         // anything else
         else {
-            throw Error("Bad number of tokens");
+            throw new InvalidARNError(`Bad number of tokens: expected arn:partition:service:region:account:resource, got ${tokens.length} part${tokens.length == 1 ? '' : 's'}`);
         }
 
         // region must have valid format.
         // This is security relevant as it is used as a subdomain
         // before the console domain.
-        if (this.region != '' && !/^[a-z0-9-]*$/.test(this.region)) {
-            throw Error(`Bad region: "${this.region}"`);
+        var badRegion = /[^a-z0-9-]/.exec(this.region);
+        if (badRegion) {
+            throw new InvalidARNError(`Bad region: "${this.region}"`, tokens.slice(0, 3).join(':').length + 1 + badRegion.index);
         }
 
-        this._linkTemplates = this._getLinkTemplates();
+        this._options = options;
+        this._applySchema();
+
+        this._linkTemplates = ARN._templatesFor(this.partition);
+        if (options && options.templates) {
+            this._linkTemplates = options.templates._apply(this._linkTemplates);
+        }
     }
 
+    // The ARN, serialized from its fields. Same as the (trimmed) input.
     get string() {
-        if (!this.resource_type) {
-            return `${this.prefix}:${this.partition}:${this.service}:${this.region}:${this.account}:${this.resource}`;
-        } else if (this.hasPath) {
-            if (this.resource_revision != '') {
-                return `${this.prefix}:${this.partition}:${this.service}:${this.region}:${this.account}:${this.resource_type}/${this.resource}:${this.resource_revision}`
+        return this._format({});
+    }
+
+    // The ARN as parsed, in order: [[name, text], ...] where name is one of
+    // prefix, partition, service, region, account, resourceType, resource,
+    // revision, or separator. The texts add up to `string`.
+    get components() {
+        var components = [
+            ['prefix', this.prefix], ['separator', ':'],
+            ['partition', this.partition], ['separator', ':'],
+            ['service', this.service], ['separator', ':'],
+            ['region', this.region], ['separator', ':'],
+            ['account', this.account], ['separator', ':'],
+        ];
+        if (this._typeSeparator) {
+            if (this._slashPrefixed) {
+                components.push(['separator', '/']);
             }
-            else {
-                return `${this.prefix}:${this.partition}:${this.service}:${this.region}:${this.account}:${this.resource_type}/${this.resource}`
+            components.push(['resourceType', this.resource_type], ['separator', this._typeSeparator]);
+        }
+        components.push(['resource', this.resource]);
+        if (this._hasRevision) {
+            components.push(['separator', ':'], ['revision', this.resource_revision]);
+        }
+        return components;
+    }
+
+    // The account from options.accounts (see AccountDirectory) as
+    // {id, name, environment, team}, or null.
+    get accountInfo() {
+        var accounts = this._options && this._options.accounts;
+        return accounts ? accounts.lookup(this.account) : null;
+    }
+
+    // "prod-payments (123456789012)" if options.accounts knows the account,
+    // otherwise the account ID.
+    get accountLabel() {
+        var account = this.accountInfo;
+        return account ? `${account.name} (${this.account})` : this.account;
+    }
+
+    // Whether the ARN's account ID is missing from options.accounts, e.g. an
+    // ARN from another organization. ARNs without account ID (S3 buckets)
+    // or owned by "aws" are never unknown, and without options.accounts
+    // nothing is.
+    get unknownAccount() {
+        return !!(this._options && this._options.accounts) && /^[0-9]{12}$/.test(this.account) && !this.accountInfo;
+    }
+
+    // Serialize, with some fields replaced.
+    _format(changes) {
+        var f = Object.assign({
+            prefix: this.prefix,
+            partition: this.partition,
+            service: this.service,
+            region: this.region,
+            account: this.account,
+            resource_type: this.resource_type,
+            resource: this.resource,
+            resource_revision: this.resource_revision,
+        }, changes);
+        var type = this._typeSeparator ? `${this._slashPrefixed ? '/' : ''}${f.resource_type}${this._typeSeparator}` : '';
+        var revision = this._hasRevision ? `:${f.resource_revision}` : '';
+        return `${f.prefix}:${f.partition}:${f.service}:${f.region}:${f.account}:${type}${f.resource}${revision}`;
+    }
+
+    // Build an ARN from its fields, e.g.
+    // ARN.from({service: 'lambda', region: 'us-east-1', account: '123456789012', resourceType: 'function', separator: ':', resource: 'f'})
+    // partition defaults to "aws", region and account to "" (e.g. S3), and
+    // separator (between resourceType and resource) to "/". A revision is
+    // appended with ":". Throws InvalidARNError like the constructor.
+    static from(fields, options) {
+        var f = Object.assign({ partition: 'aws', region: '', account: '', resourceType: '', separator: '/', resource: '' }, fields);
+        for (const name of ['partition', 'service', 'region', 'account', 'resourceType']) {
+            if (typeof (f[name]) != 'string' || f[name].includes(':')) {
+                throw new InvalidARNError(`Bad ${name}: ${f[name]}`);
             }
-        } else {
-            return `${this.prefix}:${this.partition}:${this.service}:${this.region}:${this.account}:${this.resource_type}:${this.resource}`
         }
+        if (!f.service) {
+            throw new InvalidARNError("ARN must have a service");
+        }
+        if (!['/', ':'].includes(f.separator)) {
+            throw new InvalidARNError(`Bad separator: ${f.separator}`);
+        }
+
+        var type = f.resourceType ? `${f.resourceType}${f.separator}` : '';
+        var revision = typeof (f.revision) !== 'undefined' && f.revision !== '' ? `:${f.revision}` : '';
+        return new ARN(`arn:${f.partition}:${f.service}:${f.region}:${f.account}:${type}${f.resource}${revision}`, options);
+    }
+
+    // Copies with one field replaced. The ARN itself is not changed.
+    withPartition(partition) {
+        return this._with('partition', partition);
+    }
+
+    withRegion(region) {
+        return this._with('region', region);
+    }
+
+    withAccount(account) {
+        return this._with('account', account);
+    }
+
+    withResource(resource) {
+        return this._with('resource', resource);
+    }
+
+    _with(field, value) {
+        if (typeof (value) != 'string' || (field != 'resource' && value.includes(':'))) {
+            throw new InvalidARNError(`Bad ${field}: ${value}`);
+        }
+        return new ARN(this._format({ [field]: value }), this._options);
     }
 
     get console() {
-        switch (this.partition) {
-            case "aws":
-                return `console.aws.amazon.com`;
-            case "aws-us-gov":
-                return `console.amazonaws-us-gov.com`; // untested
-            case "aws-cn":
-                return `console.amazonaws.cn`; // untested
-            default:
-                throw Error(`Bad/unsupported AWS partition: ${this.partition}`);
+        return this._partitionInfo.console;
+    }
+
+    // Sign-in host for switch role links, or null if the partition has none
+    // we know of.
+    get signin() {
+        return this._partitionInfo.signin || null;
+    }
+
+    // Console host for the ARN's region: with a region subdomain where the
+    // partition uses them, and the plain console host otherwise (the region
+    // is then taken from the "region" parameter of the link).
+    get regionalConsole() {
+        return this._consoleFor(this.region);
+    }
+
+    _consoleFor(region) {
+        return this._partitionInfo.regionSubdomains ? `${region}.${this.console}` : this.console;
+    }
+
+    get _partitionInfo() {
+        var partition = ARN._cached('partitions', ARN._getPartitions)[this.partition];
+        if (!partition) {
+            throw new UnsupportedPartitionError(this.partition);
         }
+        return partition;
     }
 
     get qualifiers() {        
@@ -135,25 +376,628 @@ class ARN {
 
     get consoleLink() {
         if (this.prefix != "arn") {
-            throw Error(`Bad ARN prefix ${this.prefix}`)
+            throw new InvalidARNError(`Bad ARN prefix ${this.prefix}`)
         }
 
         var serviceConsoleLinkTemplates = this._linkTemplates[this.service];
         if (typeof (serviceConsoleLinkTemplates) === 'undefined') {
-            throw Error(`AWS service ${this.service} unknown`);
+            throw new UnknownServiceError(this.service, () => ARN._suggest(this.service, Object.keys(this._linkTemplates)));
         }
 
         var template = serviceConsoleLinkTemplates[this.resource_type];
-        if (typeof (template) === 'undefined' || !template) {
-            throw Error(`AWS service ${this.service} resource type ${this.resource_type} not supported`);
+        if (typeof (template) === 'undefined') {
+            throw new UnknownResourceTypeError(this.service, this.resource_type, () => ARN._suggest(this.resource_type, Object.keys(serviceConsoleLinkTemplates)));
+        }
+        if (!template) {
+            throw new UnlinkedResourceTypeError(this.service, this.resource_type);
+        }
+
+        // Templates rely on the named components of the resource.
+        var resourceViolation = this.violations.find(violation => violation.field == 'resource');
+        if (resourceViolation) {
+            throw new InvalidResourceError(resourceViolation.message);
         }
 
         return template(this);
     }
 
-    _getLinkTemplates() {
+    // Console link, with options:
+    // options.region: region to open the link in, instead of the ARN's
+    //   region
+    // options.defaultRegion: region for ARNs that have none, e.g. S3 buckets
+    //   ("?region=") or regional resources with an empty region field
+    // Global services (e.g. IAM, Route 53, CloudFront) have no region in
+    // their console either; with a region, their links are pinned to the
+    // regional view of the partition's global region (us-east-1).
+    // options.sso: open the link through the IAM Identity Center (SSO) access
+    //   portal, signed in to the ARN's account (see ARN.accessPortalLink).
+    // options.switchRole: open the link through the console's switch role
+    //   page, in a role of the ARN's account (see ARN.switchRoleLink).
+    //   Ignored if options.sso is given, or the partition has no sign-in
+    //   host.
+    getConsoleLink(options) {
+        return this._signIn(this._regionalConsoleLink(options || {}), options);
+    }
+
+    // Open `link` through the access portal or switch role page, if
+    // configured in options.
+    _signIn(link, options) {
+        if (link && options && options.sso) {
+            link = ARN.accessPortalLink(link, this.account, options.sso);
+        } else if (link && options && options.switchRole && this.signin) {
+            link = ARN.switchRoleLink(link, this.account, this.signin, options.switchRole);
+        }
+        return link;
+    }
+
+    _regionalConsoleLink(options) {
+        var region = options.region || this.region || options.defaultRegion || '';
+        if (region == this.region) {
+            return this.consoleLink;
+        }
+
+        var arn = this.withRegion(region);
+        var link = arn.consoleLink;
+        if (!link || !arn.violations.some(violation => violation.code == 'UNEXPECTED_REGION') || /[?&#;]region=/.test(link)) {
+            return link;
+        }
+        // Global service, whose template doesn't take the region (unlike S3
+        // buckets). Its link may contain the ARN, so start from the original.
+        return this._pinToGlobalRegion(this.consoleLink);
+    }
+
+    // "https://console/path?query#fragment" becomes
+    // "https://region.console/path?region=region&query#fragment".
+    _pinToGlobalRegion(link) {
+        var partition = this._partitionInfo;
+        var prefix = `https://${this.console}/`;
+        if (!link.startsWith(prefix)) {
+            return link;
+        }
+        var rest = link.slice(prefix.length - 1);
+        var hash = rest.indexOf('#');
+        var fragment = hash < 0 ? '' : rest.slice(hash);
+        var [path, query] = (hash < 0 ? rest : rest.slice(0, hash)).split('?');
+        var host = partition.regionSubdomains ? `${partition.globalRegion}.${this.console}` : this.console;
+        return `https://${host}${path}?${[`region=${partition.globalRegion}`].concat(query ? [query] : []).join('&')}${fragment}`;
+    }
+
+    // Regions of a partition, e.g. to let users pick one for ARNs without
+    // region.
+    static regions(partition) {
+        var info = ARN._cached('partitions', ARN._getPartitions)[partition];
+        if (!info) {
+            throw new UnsupportedPartitionError(partition);
+        }
+        return info.regions.slice();
+    }
+
+    // Wrap a console link in an IAM Identity Center access portal link that
+    // signs in to `account` with the role (permission set) configured for it.
+    // sso.portal: portal name ("my-portal" for my-portal.awsapps.com) or
+    //   start URL ("https://d-1234567890.awsapps.com/start")
+    // sso.roles: {account: role}; sso.defaultRole: role for other accounts
+    // Returns the link unchanged if there is no role for the account, or
+    // the ARN has no account (e.g. S3 buckets).
+    static accessPortalLink(link, account, sso) {
+        if (!sso.portal) {
+            throw Error("SSO portal not configured");
+        }
+        var role = (sso.roles && sso.roles[account]) || sso.defaultRole;
+        if (!/^[0-9]{12}$/.test(account) || !role) {
+            return link;
+        }
+
+        var start = /^https:\/\//.test(sso.portal) ? sso.portal.replace(/[/#]*$/, '') : `https://${sso.portal}.awsapps.com/start`;
+        return `${start}/#/console?account_id=${account}&role_name=${encodeURIComponent(role)}&destination=${encodeURIComponent(link)}`;
+    }
+
+    // Wrap a console link in a switch role link of the sign-in host `signin`
+    // (see the signin getter), that assumes a role in `account` first.
+    // switchRole.roles: {account: roleName} or
+    //   {account: {roleName, displayName}}, where displayName is shown in
+    //   the console's navigation bar
+    // switchRole.defaultRole: role name for other accounts
+    // Returns the link unchanged if there is no role for the account, or
+    // the ARN has no account (e.g. S3 buckets).
+    static switchRoleLink(link, account, signin, switchRole) {
+        var role = (switchRole.roles && switchRole.roles[account]) || switchRole.defaultRole;
+        if (typeof (role) === 'string') {
+            role = { roleName: role };
+        }
+        if (!/^[0-9]{12}$/.test(account) || !role || !role.roleName) {
+            return link;
+        }
+
+        var displayName = role.displayName ? `&displayName=${encodeURIComponent(role.displayName)}` : '';
+        return `https://${signin}/switchrole?account=${account}&roleName=${encodeURIComponent(role.roleName)}${displayName}&redirect_uri=${encodeURIComponent(link)}`;
+    }
+
+    // Like getConsoleLink, but returns {ok: true, link} or {ok: false, error}
+    // instead of throwing. A template that has no link for this particular
+    // resource is reported as UnlinkedResourceTypeError.
+    // With options.fallback, ARNs we have no link for get an approximate
+    // link instead: {ok: true, link, approximate: true, fallback, reason}
+    // (see _fallbackLink).
+    tryConsoleLink(options) {
+        try {
+            var link = this.getConsoleLink(options);
+            if (!link) {
+                throw new UnlinkedResourceTypeError(this.service, this.resource_type);
+            }
+            return { ok: true, link: link };
+        } catch (e) {
+            var fallback = ['UNKNOWN_SERVICE', 'UNKNOWN_RESOURCE_TYPE', 'RESOURCE_TYPE_NOT_LINKED', 'NOT_AVAILABLE_IN_PARTITION', 'INVALID_RESOURCE'];
+            if (options && options.fallback && fallback.includes(e.code)) {
+                try {
+                    return this._fallbackLink(e, options);
+                } catch (fallbackError) {
+                    return { ok: false, error: fallbackError };
+                }
+            }
+            return { ok: false, error: e };
+        }
+    }
+
+    // Best-effort link for ARNs without console link: the service's home
+    // page in the ARN's region (fallback: "serviceHome"), or else a Resource
+    // Explorer search for the resource (fallback: "resourceExplorer").
+    // `reason` is the error we would have thrown.
+    _fallbackLink(reason, options) {
+        var partition = this._partitionInfo;
+        var region = options.region || this.region || options.defaultRegion || partition.globalRegion;
+        var home = ARN._cached('serviceHomes', ARN._getServiceHomes)[this.service];
+        if (home && partition.services[this.service] !== null) {
+            var [path, fragment] = home.split('#');
+            var link = `https://${this._consoleFor(region)}/${path}?region=${region}${typeof (fragment) !== 'undefined' ? `#${fragment}` : ''}`;
+            return { ok: true, link: this._signIn(link, options), approximate: true, fallback: 'serviceHome', reason: reason };
+        }
+
+        var links = this.getLinks(options);
+        return { ok: true, link: links.resourceExplorer, approximate: true, fallback: 'resourceExplorer', reason: reason };
+    }
+
+    // Read-only AWS CLI command that shows the resource, e.g.
+    // "aws ec2 describe-instances --instance-ids i-1234 --region us-east-1",
+    // quoted for POSIX shells. null if we have none for the resource type.
+    get cliCommand() {
+        var commands = ARN._cached('cliCommands', ARN._getCliCommands)[this.service];
+        var command = commands && commands[this.resource_type];
+        if (!command) {
+            return null;
+        }
+
+        // Commands rely on the named components of the resource.
+        var resourceViolation = this.violations.find(violation => violation.field == 'resource');
+        if (resourceViolation) {
+            throw new InvalidResourceError(resourceViolation.message);
+        }
+
+        var args = ['aws'].concat(command(this));
+        if (this.region && !args.includes('--region')) {
+            args.push('--region', this.region);
+        }
+        return args.map(ARN._shellQuote).join(' ');
+    }
+
+    static _shellQuote(arg) {
+        arg = String(arg);
+        if (/^[A-Za-z0-9_@%+=:,./-]+$/.test(arg)) {
+            return arg;
+        }
+        return `'${arg.replace(/'/g, `'\\''`)}'`;
+    }
+
+    // Links for this resource, keyed by kind (null where there is none):
+    // console: the console page (getConsoleLink)
+    // cloudtrail: CloudTrail event history, filtered by resource name
+    // config: AWS Config resource timeline (for resource types that Config
+    //   records by the ID in the ARN)
+    // resourceExplorer: Resource Explorer search for the resource
+    // tags: Tag Editor
+    // All but console and config work for every ARN of a known partition.
+    // options: see getConsoleLink.
+    // ARNs without region (e.g. IAM) use options.region/defaultRegion, or
+    // else the partition's global region.
+    // `links` uses the options the ARN was constructed with.
+    get links() {
+        return this.getLinks(this._options);
+    }
+
+    getLinks(options) {
+        options = options || {};
+        var region = options.region || this.region || options.defaultRegion || this._partitionInfo.globalRegion;
+        var host = this._consoleFor(region);
+        var name = encodeURIComponent(this.resource);
+
+        var consoleLink = this.tryConsoleLink(Object.assign({}, options, { fallback: false }));
+        var configTypes = ARN._cached('configResourceTypes', ARN._getConfigResourceTypes)[this.service];
+        var configType = configTypes && configTypes[this.resource_type];
+
         return {
-            "a4b": { // Alexa for Business
+            console: consoleLink.ok ? consoleLink.link : null,
+            cloudtrail: this._signIn(`https://${host}/cloudtrailv2/home?region=${region}#/events?ResourceName=${name}`, options),
+            config: this._signIn(configType ? `https://${host}/config/home?region=${region}#/timeline/${configType}/${name}/configuration` : null, options),
+            resourceExplorer: this._signIn(`https://${host}/resource-explorer/home?region=${region}#/search?query=${name}`, options),
+            tags: this._signIn(`https://${host}/resource-groups/tag-editor/find-resources?region=${region}`, options),
+        };
+    }
+
+    // Like the constructor, but returns {ok: true, arn} or {ok: false, error}
+    // instead of throwing.
+    static tryParse(text, options) {
+        try {
+            return { ok: true, arn: new ARN(text, options) };
+        } catch (e) {
+            return { ok: false, error: e };
+        }
+    }
+
+    // Which services and resource types have console links, derived from
+    // the template table: [{service, name, resourceTypes: [{resourceType,
+    // supported}]}]. Resource type "" is for ARNs without resource type.
+    // options.templates: include custom templates (see TemplateRegistry).
+    static supportMatrix(options) {
+        var linkTemplates = ARN._cached('templates', ARN._getLinkTemplates);
+        if (options && options.templates) {
+            linkTemplates = options.templates._apply(linkTemplates);
+        }
+        var names = ARN._cached('serviceNames', ARN._getServiceNames);
+
+        return Object.keys(linkTemplates).sort().map(service => ({
+            service: service,
+            name: names[service] || service,
+            resourceTypes: Object.keys(linkTemplates[service]).sort().map(resourceType => ({
+                resourceType: resourceType,
+                supported: typeof (linkTemplates[service][resourceType]) === 'function',
+            })),
+        }));
+    }
+
+    // Names from `candidates` closest to `name` (case-insensitive edit
+    // distance), best first, for "did you mean" hints.
+    static _suggest(name, candidates) {
+        var distance = (a, b) => {
+            var row = Array.from({ length: b.length + 1 }, (_, j) => j);
+            for (let i = 1; i <= a.length; i++) {
+                let diagonal = row[0];
+                row[0] = i;
+                for (let j = 1; j <= b.length; j++) {
+                    let above = row[j];
+                    row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] == b[j - 1] ? 0 : 1));
+                    diagonal = above;
+                }
+            }
+            return row[b.length];
+        };
+
+        var maxDistance = Math.max(1, Math.floor(name.length / 3));
+        return candidates
+            .filter(candidate => candidate != '')
+            .map(candidate => [candidate, distance(name.toLowerCase(), candidate.toLowerCase())])
+            .filter(([candidate, d]) => d <= maxDistance)
+            .sort((a, b) => a[1] - b[1])
+            .slice(0, 3)
+            .map(([candidate, d]) => candidate);
+    }
+
+    // Reverse of consoleLink: recognize a console URL produced by one of the
+    // templates in _getLinkTemplates and rebuild the ARN it was made from.
+    // Some links don't contain the account ID; pass it in as `account`.
+    static fromConsoleLink(url, account) {
+        if (typeof (url) != 'string') {
+            throw new InvalidConsoleLinkError("Console link must be a string");
+        }
+
+        var partitions = ARN._cached('partitions', ARN._getPartitions);
+        var domains = Object.keys(partitions).map(partition => partitions[partition].console.replace(/[.-]/g, '\\$&'));
+        var match = new RegExp(`^https://(?:([a-z0-9-]+)\\.)?(${domains.join('|')})(/.*)$`).exec(url.trim());
+        if (!match) {
+            throw new InvalidConsoleLinkError("Not an AWS console link");
+        }
+
+        var partition = Object.keys(partitions).find(partition => partitions[partition].console == match[2]);
+        var path = match[3];
+
+        // The region is in the "region=" parameter (query string or
+        // fragment), or else in the subdomain.
+        var regionParam = /[?&;]region=([a-z0-9-]+)/.exec(path);
+        var region = regionParam ? regionParam[1] : (match[1] != 's3' && match[1]) || '';
+
+        // Builders read these fields, so missing information is reported
+        // only for links that actually need it.
+        var fields = {
+            partition: partition,
+            get region() {
+                if (!region) {
+                    throw new InvalidConsoleLinkError(`Console link does not contain a region: ${url}`);
+                }
+                return region;
+            },
+            get account() {
+                if (!account) {
+                    throw new InvalidConsoleLinkError(`Console link does not contain an account ID, please supply one: ${url}`);
+                }
+                return account;
+            },
+        };
+
+        for (const [pattern, build] of ARN._cached('consoleLinkPatterns', ARN._getConsoleLinkPatterns)) {
+            var m = pattern.exec(path);
+            if (m) {
+                return new ARN(build(m, fields));
+            }
+        }
+
+        throw new InvalidConsoleLinkError(`Console link not recognized: ${url}`);
+    }
+
+    // Find every ARN in free text (logs, stack traces, chat messages, JSON).
+    // Returns a list of {start, end, text, arn, hasConsoleLink, consoleLink},
+    // where start/end are offsets of the ARN in `text` (end exclusive) and
+    // `arn` is the parsed ARN object. URL-encoded ARNs ("arn%3Aaws%3A...")
+    // are decoded. Candidates that don't parse as an ARN are skipped.
+    // `options` are passed to the ARN constructor and getConsoleLink.
+    static extractAll(text, options) {
+        if (typeof (text) != 'string') {
+            throw Error("Text must be a string");
+        }
+
+        var results = [];
+        var candidates = /\barn(?::[a-zA-Z0-9:/+=,.@_*#\-]+|%3[aA][a-zA-Z0-9%/+=,.@_*#\-]+)/g;
+        var m;
+        while ((m = candidates.exec(text)) !== null) {
+            // Drop punctuation that ends the sentence rather than the ARN.
+            // A single trailing "*" is kept (wildcards like "bucket/*" and
+            // log groups ending in ":*"), a run of them is Markdown emphasis.
+            var candidate = m[0];
+            for (;;) {
+                var trimmed = candidate.replace(/[.,;:!?]+$/, '').replace(/\*{2,}$/, '');
+                if (trimmed == candidate) {
+                    break;
+                }
+                candidate = trimmed;
+            }
+
+            var decoded = candidate;
+            if (!candidate.startsWith('arn:')) {
+                try {
+                    decoded = decodeURIComponent(candidate);
+                } catch (e) {
+                    continue;
+                }
+            }
+
+            var arn;
+            try {
+                arn = new ARN(decoded, options);
+            } catch (e) {
+                continue;
+            }
+
+            var consoleLink = null;
+            try {
+                consoleLink = arn.getConsoleLink(options) || null;
+            } catch (e) {
+                // valid ARN, but no link for it
+            }
+
+            results.push({
+                start: m.index,
+                end: m.index + candidate.length,
+                text: candidate,
+                arn: arn,
+                hasConsoleLink: consoleLink !== null,
+                consoleLink: consoleLink,
+            });
+        }
+        return results;
+    }
+
+    // Rewrite every ARN in `text` that has a console link into a link.
+    // options.format: "markdown" ([arn](url), default), "html" (<a href>)
+    // or "osc8" (terminal hyperlink escape sequence).
+    // options.annotate: mark ARNs without console link with "(no console link)".
+    // options.templates: see ARN constructor; options.sso, options.switchRole:
+    // see getConsoleLink.
+    // options.accounts: AccountDirectory; links get the account's name as
+    // title (markdown and html), and with options.annotate, ARNs of accounts
+    // missing from it are marked with "(unknown account)".
+    // Input is expected to be in the output format, i.e. in "html" mode only
+    // the inserted links are escaped. ARNs that are part of a URL, inside
+    // Markdown code spans, HTML tags or existing links are left alone.
+    // Works on any chunk of text; use it line by line for streams.
+    static linkify(text, options) {
+        options = Object.assign({ format: 'markdown', annotate: false }, options);
+        if (!['markdown', 'html', 'osc8'].includes(options.format)) {
+            throw Error(`Unknown linkify format: ${options.format}`);
+        }
+
+        var escapeHtml = (s) => s.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+        var makeLink = {
+            markdown: (arn, link, title) => `[${arn.replace(/[\\*_]/g, '\\$&')}](${link}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`,
+            html: (arn, link, title) => `<a href="${escapeHtml(link)}"${title ? ` title="${escapeHtml(title)}"` : ''}>${escapeHtml(arn)}</a>`,
+            osc8: (arn, link) => `\x1b]8;;${link}\x1b\\${arn}\x1b]8;;\x1b\\`,
+        }[options.format];
+
+        var output = '';
+        var last = 0;
+        for (const found of ARN.extractAll(text, options)) {
+            var before = text.slice(0, found.start);
+
+            // part of a URL, e.g. a console link that contains the ARN
+            var word = before.slice(Math.max(before.lastIndexOf(' '), before.lastIndexOf('\t')) + 1);
+            if (word.includes('://')) {
+                continue;
+            }
+            // Markdown: inside `code` or already [linked](...)
+            if (options.format == 'markdown' && ((before.split('`').length % 2 == 0) || before.endsWith('](') || text.startsWith('](', found.end))) {
+                continue;
+            }
+            // HTML: inside a tag, or inside <a>...</a>
+            if (options.format == 'html' && (before.lastIndexOf('<') > before.lastIndexOf('>') || before.toLowerCase().lastIndexOf('<a ') > before.toLowerCase().lastIndexOf('</a>'))) {
+                continue;
+            }
+
+            if (found.hasConsoleLink) {
+                output += text.slice(last, found.start) + makeLink(found.text, found.consoleLink, found.arn.accountInfo && found.arn.accountLabel);
+                if (options.annotate && found.arn.unknownAccount) {
+                    output += ' (unknown account)';
+                }
+            } else if (options.annotate) {
+                output += text.slice(last, found.end) + ' (no console link)';
+            } else {
+                continue;
+            }
+            last = found.end;
+        }
+        return output + text.slice(last);
+    }
+
+    // Partitions we know the console for. Each has
+    // console: console domain
+    // signin: sign-in domain for switch role links (optional)
+    // regionSubdomains: whether regional console pages are served from
+    //   "<region>.<console>"
+    // globalRegion: region of the consoles of global services, e.g. IAM
+    // regions: valid regions
+    // services: templates that differ from _getLinkTemplates, as
+    //   {service: {resourceType: (arn) => link}}. null declares a resource
+    //   type (or a whole service) unavailable in the partition.
+    static _getPartitions() {
+        // Templates that take the region only from the subdomain, for
+        // consoles without region subdomains.
+        var withoutRegionSubdomains = {
+            "codebuild": {
+                "project": (arn) => `https://${arn.console}/codesuite/codebuild/projects/${arn.resource}?region=${arn.region}`,
+            },
+            "ecr": {
+                "repository": (arn) => `https://${arn.console}/ecr/repositories/private/${arn.account}/${arn.resource}?region=${arn.region}`,
+            },
+            "s3": {
+                "": (arn) => `https://${arn.console}/s3/buckets/${arn.resource}${arn.region ? `?region=${arn.region}` : ''}`,
+            },
+            "secretsmanager": {
+                "secret": (arn) => `https://${arn.console}/secretsmanager/secret?name=${ARN._secretName(arn)}&region=${arn.region}`,
+            },
+        };
+
+        return {
+            "aws": {
+                console: "console.aws.amazon.com",
+                signin: "signin.aws.amazon.com",
+                regionSubdomains: true,
+                globalRegion: "us-east-1",
+                regions: [
+                    "af-south-1", "ap-east-1", "ap-east-2", "ap-northeast-1", "ap-northeast-2", "ap-northeast-3",
+                    "ap-south-1", "ap-south-2", "ap-southeast-1", "ap-southeast-2", "ap-southeast-3", "ap-southeast-4",
+                    "ap-southeast-5", "ap-southeast-6", "ap-southeast-7", "ca-central-1", "ca-west-1", "eu-central-1",
+                    "eu-central-2", "eu-north-1", "eu-south-1", "eu-south-2", "eu-west-1", "eu-west-2", "eu-west-3",
+                    "il-central-1", "me-central-1", "me-south-1", "mx-central-1", "sa-east-1", "us-east-1", "us-east-2",
+                    "us-west-1", "us-west-2",
+                ],
+                services: {},
+            },
+            "aws-cn": { // untested
+                console: "console.amazonaws.cn",
+                signin: "signin.amazonaws.cn",
+                regionSubdomains: false,
+                globalRegion: "cn-north-1",
+                regions: ["cn-north-1", "cn-northwest-1"],
+                services: withoutRegionSubdomains,
+            },
+            "aws-us-gov": { // untested
+                console: "console.amazonaws-us-gov.com",
+                signin: "signin.amazonaws-us-gov.com",
+                regionSubdomains: false,
+                globalRegion: "us-gov-west-1",
+                regions: ["us-gov-east-1", "us-gov-west-1"],
+                services: Object.assign({}, withoutRegionSubdomains, {
+                    "cloudfront": null,
+                    "wafv2": { "global": null },
+                }),
+            },
+            "aws-iso": { // untested
+                console: "console.c2s.ic.gov",
+                regionSubdomains: false,
+                globalRegion: "us-iso-east-1",
+                regions: ["us-iso-east-1", "us-iso-west-1"],
+                services: Object.assign({}, withoutRegionSubdomains, {
+                    "cloudfront": null,
+                    "wafv2": { "global": null },
+                }),
+            },
+            "aws-iso-b": { // untested
+                console: "console.sc2s.sgov.gov",
+                regionSubdomains: false,
+                globalRegion: "us-isob-east-1",
+                regions: ["us-isob-east-1"],
+                services: Object.assign({}, withoutRegionSubdomains, {
+                    "cloudfront": null,
+                    "wafv2": { "global": null },
+                }),
+            },
+            "aws-eusc": { // untested
+                console: "console.amazonaws.eu",
+                regionSubdomains: false,
+                globalRegion: "eusc-de-east-1",
+                regions: ["eusc-de-east-1"],
+                services: withoutRegionSubdomains,
+            },
+        };
+    }
+
+    // Tables like the templates and partitions are built on first use and
+    // then shared by all ARNs, instead of once per ARN. They must not be
+    // modified.
+    static _cached(key, build) {
+        if (!ARN._cache.has(key)) {
+            ARN._cache.set(key, build());
+        }
+        return ARN._cache.get(key);
+    }
+
+    // The template table for ARNs of a partition: the built-in templates
+    // with the partition's overrides. Unknown partitions get the built-in
+    // templates; their links fail with UnsupportedPartitionError.
+    static _templatesFor(partition) {
+        var partitions = ARN._cached('partitions', ARN._getPartitions);
+        if (!Object.prototype.hasOwnProperty.call(partitions, partition)) {
+            return ARN._cached('templates', ARN._getLinkTemplates);
+        }
+        return ARN._cached(`templates:${partition}`, () => ARN._applyPartition(ARN._cached('templates', ARN._getLinkTemplates), partitions[partition]));
+    }
+
+    // Name of a Secrets Manager secret: the resource without the random
+    // suffix that Secrets Manager adds to its ARN.
+    static _secretName(arn) {
+        const arnSuffix = /-\w{6}$/;
+        if (!arnSuffix.test(arn.resource)) {
+            throw new InvalidResourceError(`Secret ARN for "${arn.resource}" appears invalid, should end with ${arnSuffix}`);
+        }
+        return arn.resource.replace(arnSuffix, "");
+    }
+
+    // Apply the template overrides of a partition. Resource types that are
+    // unavailable get a template that throws UnavailableInPartitionError, so
+    // custom templates can still override them.
+    static _applyPartition(linkTemplates, partition) {
+        var unavailable = (arn) => {
+            throw new UnavailableInPartitionError(arn.partition, arn.service, arn.resource_type);
+        };
+        var merged = Object.assign({}, linkTemplates);
+        for (const [service, resourceTypes] of Object.entries(partition.services)) {
+            merged[service] = Object.assign({}, linkTemplates[service]);
+            for (const resourceType of Object.keys(resourceTypes || merged[service])) {
+                merged[service][resourceType] = (resourceTypes && resourceTypes[resourceType]) || unavailable;
+            }
+        }
+        return merged;
+    }
+
+    static _getLinkTemplates() {
+        return {
+            "a4b": {
                 "address-book": null,
                 "conference-provider": null,
                 "contact": null,
@@ -165,184 +1009,178 @@ class ARN {
                 "skill-group": null,
                 "user": null,
             },
-            "access-analyzer": { // IAM Access Analyzer
-                "analyzer": () => `https://${this.region}.${this.console}/access-analyzer/home?region=${this.region}#/analyzer/${this.resource}`,
+            "access-analyzer": {
+                "analyzer": (arn) => `https://${arn.regionalConsole}/access-analyzer/home?region=${arn.region}#/analyzer/${arn.resource}`,
             },
-            "acm": { // AWS Certificate Manager
-                "certificate": () => `https://${this.console}/acm/home?region=${this.region}#/certificates/${this.resource}`,
+            "acm": {
+                "certificate": (arn) => `https://${arn.console}/acm/home?region=${arn.region}#/certificates/${arn.resource}`,
             },
-            "acm-pca": { // AWS Certificate Manager Private Certificate Authority
+            "acm-pca": {
                 "certificate-authority": null,
             },
-            "amplify": { // AWS Amplify
-                "apps": () => {
-                    if(this.resource.includes('/jobs/')) {
-                        const resourceSplit = this.resource.split('/');
-                        const appID = resourceSplit[0];
-                        const branch = resourceSplit[2];
-                        const job = resourceSplit[resourceSplit.length - 1].replace(/^0+/, '');
-                        return `https://${this.region}.${this.console}/amplify/home?region=${this.region}#/${appID}/${branch}/${job}`;
+            "amplify": {
+                "apps": (arn) => {
+                    if (arn.params.JobId) {
+                        const job = arn.params.JobId.replace(/^0+/, '');
+                        return `https://${arn.regionalConsole}/amplify/home?region=${arn.region}#/${arn.params.AppId}/${arn.params.BranchName}/${job}`;
                     }
                     return null;
                 },
             },
-            "apigateway": { // Manage Amazon API Gateway
-                "restapis": () => `https://${this.region}.${this.console}/apigateway/main/apis/${this.resource}/resources?api=${this.resource}&region=${this.region}`,
+            "apigateway": {
+                "restapis": (arn) => `https://${arn.regionalConsole}/apigateway/main/apis/${arn.resource}/resources?api=${arn.resource}&region=${arn.region}`,
             },
-            "appconfig": { // AWS AppConfig
+            "appconfig": {
                 "application": null,
                 "deploymentstrategy": null,
             },
-            "appflow": { // Amazon AppFlow
+            "appflow": {
                 "connectorprofile": null,
                 "flow": null,
             },
-            "appmesh": { // AWS App Mesh
+            "appmesh": {
                 "mesh": null,
             },
-            "appmesh-preview": { // AWS App Mesh Preview
+            "appmesh-preview": {
                 "mesh": null,
             },
-            "appstream": { // Amazon AppStream 2.0
+            "appstream": {
                 "fleet": null,
                 "image": null,
                 "image-builder": null,
                 "stack": null,
             },
-            "appsync": { // AWS AppSync
+            "appsync": {
                 "apis": null,
             },
-            "artifact": { // AWS Artifact
+            "artifact": {
                 "agreement": null,
                 "customer-agreement": null,
                 "report-package": null,
             },
-            "athena": { // Amazon Athena
+            "athena": {
                 "datacatalog": null,
                 "workgroup": null,
             },
-            "autoscaling": { // Amazon EC2 Auto Scaling
-                "autoScalingGroup": () => {
-                    const groupName = this.resource.split('/')[1];
-                    return `https://${this.region}.${this.console}/ec2/home?region=${this.region}#AutoScalingGroupDetails:id=${groupName};view=details`
-                },
+            "autoscaling": {
+                "autoScalingGroup": (arn) => `https://${arn.regionalConsole}/ec2/home?region=${arn.region}#AutoScalingGroupDetails:id=${arn.params.GroupFriendlyName};view=details`,
                 "launchConfiguration": null,
             },
-            "aws-marketplace": { // AWS Marketplace Catalog
+            "aws-marketplace": {
             },
-            "backup": { // AWS Backup
+            "backup": {
                 "backup-plan": null,
-                "backup-vault": () => `https://${this.console}/backup/home?region=${this.region}#/backupvaults/details/${this.resource}`,
+                "backup-vault": (arn) => `https://${arn.console}/backup/home?region=${arn.region}#/backupvaults/details/${arn.resource}`,
             },
-            "batch": { // AWS Batch
+            "batch": {
                 "job-definition": null,
                 "job-queue": null,
             },
-            "budgets": { // AWS Budget Service
+            "budgets": {
                 "budget": null,
             },
-            "cassandra": { // Amazon Keyspaces (for Apache Cassandra)
+            "cassandra": {
                 "": null,
             },
-            "catalog": { // AWS Service Catalog
+            "catalog": {
                 "portfolio": null,
                 "product": null,
             },
-            "chatbot": { // AWS Chatbot
+            "chatbot": {
             },
-            "chime": { // Amazon Chime
+            "chime": {
                 "meeting": null,
             },
-            "cloud9": { // AWS Cloud9
+            "cloud9": {
                 "environment": null,
             },
-            "clouddirectory": { // Amazon Cloud Directory
+            "clouddirectory": {
                 "directory": null,
                 "schema": null,
             },
-            "cloudformation": { // AWS CloudFormation
+            "cloudformation": {
                 "changeSet": null,
                 "stack": null,
                 "stackset": null,
             },
-            "cloudfront": { // Amazon CloudFront
-                "distribution": () => `https://${this.console}/cloudfront/v4/home#/distributions/${this.resource}`,
+            "cloudfront": {
+                "distribution": (arn) => `https://${arn.console}/cloudfront/v4/home#/distributions/${arn.resource}`,
                 "origin-access-identity": null,
                 "streaming-distribution": null,
             },
-            "cloudhsm": { // AWS CloudHSM
+            "cloudhsm": {
                 "backup": null,
                 "cluster": null,
             },
-            "cloudsearch": { // Amazon CloudSearch
+            "cloudsearch": {
                 "domain": null,
             },
-            "cloudtrail": { // AWS CloudTrail
+            "cloudtrail": {
                 "trail": null,
             },
-            "cloudwatch": { // Amazon CloudWatch
+            "cloudwatch": {
                 "alarm": null,
                 "dashboard": null,
                 "insight-rule": null,
             },
-            "codeartifact": { // AWS CodeArtifact
+            "codeartifact": {
                 "domain": null,
                 "package": null,
                 "repository": null,
             },
-            "codebuild": { // AWS CodeBuild
+            "codebuild": {
                 "build": null,
-                "project": () => `https://${this.region}.${this.console}/codesuite/codebuild/projects/${this.resource}`,
+                "project": (arn) => `https://${arn.regionalConsole}/codesuite/codebuild/projects/${arn.resource}`,
                 "report": null,
                 "report-group": null,
             },
-            "codecommit": { // Amazon CodeGuru Reviewer
+            "codecommit": {
             },
-            "codeconnections": { // AWS CodeConnections
-                "connection": () => `https://${this.region}.${this.console}/codesuite/settings/${this.account}/${this.region}/${this.service}/${this.resource_type}s/${this.resource}`,
+            "codeconnections": {
+                "connection": (arn) => `https://${arn.regionalConsole}/codesuite/settings/${arn.account}/${arn.region}/${arn.service}/${arn.resource_type}s/${arn.resource}`,
             },
-            "codedeploy": { // AWS CodeDeploy
+            "codedeploy": {
                 "application": null,
                 "deploymentconfig": null,
                 "deploymentgroup": null,
                 "instance": null,
             },
-            "codeguru-profiler": { // Amazon CodeGuru Profiler
+            "codeguru-profiler": {
                 "profilingGroup": null,
             },
-            "codeguru-reviewer": { // Amazon CodeGuru Reviewer
+            "codeguru-reviewer": {
                 ".+": null,
                 "association": null,
             },
-            "codepipeline": { // AWS CodePipeline
-                "": () => `https://${this.region}.${this.console}/codesuite/codepipeline/pipelines/${this.resource}/view?region=${this.region}`,
+            "codepipeline": {
+                "": (arn) => `https://${arn.regionalConsole}/codesuite/codepipeline/pipelines/${arn.resource}/view?region=${arn.region}`,
                 "actiontype": null,
                 "webhook": null,
             },
-            "codestar": { // AWS CodeStar
+            "codestar": {
                 "project": null,
             },
-            "codestar-connections": { // AWS CodeStar Connections
-                "connection": () => `https://${this.region}.${this.console}/codesuite/settings/${this.account}/${this.region}/${this.service}/${this.resource_type}s/${this.resource}`,
+            "codestar-connections": {
+                "connection": (arn) => `https://${arn.regionalConsole}/codesuite/settings/${arn.account}/${arn.region}/${arn.service}/${arn.resource_type}s/${arn.resource}`,
             },
-            "codestar-notifications": { // AWS CodeStar Notifications
+            "codestar-notifications": {
                 "notificationrule": null,
             },
-            "cognito-identity": { // Amazon Cognito Identity
+            "cognito-identity": {
                 "identitypool": null,
             },
-            "cognito-idp": { // Amazon Cognito User Pools
+            "cognito-idp": {
                 "userpool": null,
             },
-            "cognito-sync": { // Amazon Cognito Sync
+            "cognito-sync": {
                 "identitypool": null,
             },
-            "comprehend": { // Amazon Comprehend
+            "comprehend": {
                 "document-classifier": null,
                 "document-classifier-endpoint": null,
                 "entity-recognizer": null,
             },
-            "config": { // AWS Config
+            "config": {
                 "aggregation-authorization": null,
                 "config-aggregator": null,
                 "config-rule": null,
@@ -351,35 +1189,35 @@ class ARN {
                 "organization-conformance-pack": null,
                 "remediation-configuration": null,
             },
-            "connect": { // Amazon Connect
+            "connect": {
                 "instance": null,
             },
-            "cur": { // AWS Cost and Usage Report
+            "cur": {
                 "definition": null,
             },
-            "dataexchange": { // AWS Data Exchange
+            "dataexchange": {
                 "data-sets": null,
                 "jobs": null,
             },
-            "datasync": { // DataSync
+            "datasync": {
                 "agent": null,
                 "location": null,
                 "task": null,
             },
-            "dax": { // Amazon DynamoDB Accelerator (DAX)
+            "dax": {
                 "cache": null,
             },
-            "deepcomposer": { // AWS DeepComposer
+            "deepcomposer": {
                 "audio": null,
                 "composition": null,
                 "model": null,
             },
-            "deeplens": { // AWS DeepLens
+            "deeplens": {
                 "device": null,
                 "model": null,
                 "project": null,
             },
-            "deepracer": { // AWS DeepRacer
+            "deepracer": {
                 " evaluation_job": null,
                 "leaderboard": null,
                 "leaderboard_evaluation_job": null,
@@ -387,10 +1225,10 @@ class ARN {
                 "track": null,
                 "training_job": null,
             },
-            "detective": { // Amazon Detective
+            "detective": {
                 "graph": null,
             },
-            "devicefarm": { // AWS Device Farm
+            "devicefarm": {
                 "artifact": null,
                 "device": null,
                 "deviceinstance": null,
@@ -409,16 +1247,16 @@ class ARN {
                 "upload": null,
                 "vpceconfiguration": null,
             },
-            "directconnect": { // AWS Direct Connect
+            "directconnect": {
                 "dx-gateway": null,
                 "dxcon": null,
                 "dxlag": null,
                 "dxvif": null,
             },
-            "dlm": { // Amazon Data Lifecycle Manager
+            "dlm": {
                 "policy": null,
             },
-            "dms": { // AWS Database Migration Service
+            "dms": {
                 "cert": null,
                 "endpoint": null,
                 "es": null,
@@ -426,28 +1264,28 @@ class ARN {
                 "subgrp": null,
                 "task": null,
             },
-            "ds": { // AWS Directory Service
+            "ds": {
                 "directory": null,
             },
-            "dynamodb": { // Amazon DynamoDB
+            "dynamodb": {
                 "global-table": null,
-                "table": () => `https://${this.region}.${this.console}/dynamodbv2/home?region=${this.region}#table?name=${this.resource}`,
+                "table": (arn) => `https://${arn.regionalConsole}/dynamodbv2/home?region=${arn.region}#table?name=${arn.resource}`,
             },
-            "ec2": { // AWS Systems Manager
+            "ec2": {
                 "capacity-reservation": null,
                 "client-vpn-endpoint": null,
                 "customer-gateway": null,
                 "dedicated-host": null,
                 "dhcp-options": null,
                 "elastic-gpu": null,
-                "eip-allocation": () => `https://${this.region}.${this.console}/ec2/home?region=${this.region}#Addresses:v=3;search=:${this.resource}`,
+                "eip-allocation": (arn) => `https://${arn.regionalConsole}/ec2/home?region=${arn.region}#Addresses:v=3;search=:${arn.resource}`,
                 "fpga-image": null,
-                "image": () => `https://${this.region}.${this.console}/ec2/home?region=${this.region}#ImageDetails:imageId=${this.resource}`,
-                "instance": () => `https://${this.region}.${this.console}/ec2/home?region=${this.region}#InstanceDetails:instanceId=${this.resource}`,
+                "image": (arn) => `https://${arn.regionalConsole}/ec2/home?region=${arn.region}#ImageDetails:imageId=${arn.resource}`,
+                "instance": (arn) => `https://${arn.regionalConsole}/ec2/home?region=${arn.region}#InstanceDetails:instanceId=${arn.resource}`,
                 "internet-gateway": null,
-                "natgateway": () => `https://${this.region}.${this.console}/vpcconsole/home?region=${this.region}#NatGatewayDetails:natGatewayId=${this.resource}`,
+                "natgateway": (arn) => `https://${arn.regionalConsole}/vpcconsole/home?region=${arn.region}#NatGatewayDetails:natGatewayId=${arn.resource}`,
                 "key-pair": null,
-                "launch-template": () => `https://${this.region}.${this.console}/ec2/home?region=${this.region}#LaunchTemplateDetails:launchTemplateId=${this.resource}`,
+                "launch-template": (arn) => `https://${arn.regionalConsole}/ec2/home?region=${arn.region}#LaunchTemplateDetails:launchTemplateId=${arn.resource}`,
                 "local-gateway": null,
                 "local-gateway-route-table": null,
                 "local-gateway-route-table-virtual-interface-group-association": null,
@@ -459,10 +1297,10 @@ class ARN {
                 "placement-group": null,
                 "reserved-instances": null,
                 "route-table": null,
-                "security-group": () => `https://${this.region}.${this.console}/vpc/home?region=${this.region}#SecurityGroup:groupId=${this.resource}`,
-                "snapshot": () => `https://${this.region}.${this.console}/ec2/home?region=${this.region}#SnapshotDetails:snapshotId=${this.resource}`,
+                "security-group": (arn) => `https://${arn.regionalConsole}/vpc/home?region=${arn.region}#SecurityGroup:groupId=${arn.resource}`,
+                "snapshot": (arn) => `https://${arn.regionalConsole}/ec2/home?region=${arn.region}#SnapshotDetails:snapshotId=${arn.resource}`,
                 "spot-instances-request": null,
-                "subnet": () => `https://${this.region}.${this.console}/vpc/home?region=${this.region}#SubnetDetails:subnetId=${this.resource}`,
+                "subnet": (arn) => `https://${arn.regionalConsole}/vpc/home?region=${arn.region}#SubnetDetails:subnetId=${arn.resource}`,
                 "traffic-mirror-filter": null,
                 "traffic-mirror-filter-rule": null,
                 "traffic-mirror-session": null,
@@ -471,83 +1309,78 @@ class ARN {
                 "transit-gateway-attachment": null,
                 "transit-gateway-multicast-domain": null,
                 "transit-gateway-route-table": null,
-                "volume": () => `https://${this.region}.${this.console}/ec2/home?region=${this.region}#VolumeDetails:volumeId=${this.resource}`,
-                "vpc": () => `https://${this.region}.${this.console}/vpc/home?region=${this.region}#VpcDetails:VpcId=${this.resource}`,
-                "vpc-endpoint": () => `https://${this.region}.${this.console}/vpcconsole/home?region=${this.region}#EndpointDetails:vpcEndpointId=${this.resource}`,
+                "volume": (arn) => `https://${arn.regionalConsole}/ec2/home?region=${arn.region}#VolumeDetails:volumeId=${arn.resource}`,
+                "vpc": (arn) => `https://${arn.regionalConsole}/vpc/home?region=${arn.region}#VpcDetails:VpcId=${arn.resource}`,
+                "vpc-endpoint": (arn) => `https://${arn.regionalConsole}/vpcconsole/home?region=${arn.region}#EndpointDetails:vpcEndpointId=${arn.resource}`,
                 "vpc-endpoint-service": null,
                 "vpc-flow-log": null,
                 "vpc-peering-connection": null,
                 "vpn-connection": null,
                 "vpn-gateway": null,
             },
-            "ecr": { // Amazon Elastic Container Registry
-                "repository": () => `https://${this.region}.${this.console}/ecr/repositories/private/${this.account}/${this.resource}`,
+            "ecr": {
+                "repository": (arn) => `https://${arn.regionalConsole}/ecr/repositories/private/${arn.account}/${arn.resource}`,
             },
-            "ecs": { // Amazon Elastic Container Service
-                "cluster": () => `https://${this.region}.${this.console}/ecs/v2/clusters/${this.resource}?region=${this.region}`,
+            "ecs": {
+                "cluster": (arn) => `https://${arn.regionalConsole}/ecs/v2/clusters/${arn.resource}?region=${arn.region}`,
                 "container-instance": null,
-                "service": () => `https://${this.region}.${this.console}/ecs/v2/clusters/${this.pathAllButLast}/services/${this.pathLast}?region=${this.region}`,
-                "task": () => `https://${this.region}.${this.console}/ecs/v2/clusters/${this.pathAllButLast}/tasks/${this.pathLast}?region=${this.region}`,
-                "task-definition": () => `https://${this.region}.${this.console}/ecs/v2/task-definitions/${this.resource}/${this.resource_revision}?region=${this.region}`,
+                "service": (arn) => `https://${arn.regionalConsole}/ecs/v2/clusters/${arn.params.ClusterName}/services/${arn.params.ServiceName}?region=${arn.region}`,
+                "task": (arn) => `https://${arn.regionalConsole}/ecs/v2/clusters/${arn.params.ClusterName}/tasks/${arn.params.TaskId}?region=${arn.region}`,
+                "task-definition": (arn) => `https://${arn.regionalConsole}/ecs/v2/task-definitions/${arn.params.TaskDefinitionFamilyName}/${arn.params.TaskDefinitionRevisionNumber || ''}?region=${arn.region}`,
                 "task-set": null,
             },
-            "eks": { // Amazon Elastic Container Service for Kubernetes
-                "cluster": () => `https://${this.console}/eks/home?region=${this.region}#/clusters/${this.resource}`,
+            "eks": {
+                "cluster": (arn) => `https://${arn.console}/eks/home?region=${arn.region}#/clusters/${arn.resource}`,
                 "fargateprofile": null,
-                "nodegroup": () => {
-                    const arr = this.resource.split('/');
-                    const clusterName = arr[0];
-                    const nodegroupName = arr[1];
-                    return `https://${this.console}/eks/home?region=${this.region}#/clusters/${clusterName}/nodegroups/${nodegroupName}`
-                },
+                "nodegroup": (arn) => `https://${arn.console}/eks/home?region=${arn.region}#/clusters/${arn.params.ClusterName}/nodegroups/${arn.params.NodegroupName}`,
             },
-            "elastic-inference": { // Amazon Elastic Inference
+            "elastic-inference": {
                 "elastic-inference-accelerator": null,
             },
-            "elasticbeanstalk": { // AWS Elastic Beanstalk
+            "elasticbeanstalk": {
                 "application": null,
                 "applicationversion": null,
                 "configurationtemplate": null,
-                "environment": () => `https://${this.region}.${this.console}/elasticbeanstalk/home?region=${this.region}#/environments`,
+                "environment": (arn) => `https://${arn.regionalConsole}/elasticbeanstalk/home?region=${arn.region}#/environments`,
                 "platform": null,
                 "solutionstack": null,
             },
-            "elasticfilesystem": { // Amazon Elastic File System
+            "elasticfilesystem": {
                 "access-point": null,
                 "file-system": null,
             },
-            "elasticloadbalancing": { // AWS WAF V2
+            "elasticloadbalancing": {
                 "listener": null,
                 "listener-rule": null,
-                "loadbalancer": () => `https://${this.region}.${this.console}/ec2/home?region=${this.region}#LoadBalancer:loadBalancerArn=${this.arn}`,
+                "loadbalancer": (arn) => `https://${arn.regionalConsole}/ec2/home?region=${arn.region}#LoadBalancer:loadBalancerArn=${arn.arn}`,
                 "targetgroup": null,
             },
-            "elasticmapreduce": { // Amazon Elastic MapReduce
+            "elasticmapreduce": {
                 "cluster": null,
                 "editor": null,
             },
-            "elastictranscoder": { // Amazon Elastic Transcoder
+            "elastictranscoder": {
                 "job": null,
                 "pipeline": null,
                 "preset": null,
             },
-            "es": { // Amazon Elasticsearch Service
-                "domain": () => `https://${this.region}.${this.console}/aos/home?region=${this.region}#opensearch/domains/${this.resource}`,
+            "es": {
+                "domain": (arn) => `https://${arn.regionalConsole}/aos/home?region=${arn.region}#opensearch/domains/${arn.resource}`,
             },
-            "events": { // Amazon EventBridge
+            "events": {
                 "event-bus": null,
                 "event-source": null,
                 "rule": null,
             },
-            "execute-api": { // Amazon API Gateway
+            "execute-api": {
             },
-            "firehose": { // Amazon Kinesis Firehose
-                "deliverystream": () => `https://${this.console}/firehose/home?region=${this.region}#/details/${this.resource}/monitoring`,
+            "firehose": {
+                "deliverystream": (arn) => `https://${arn.console}/firehose/home?region=${arn.region}#/details/${arn.resource}/monitoring`,
             },
-            "fms": { // AWS Firewall Manager
+            "fms": {
                 "policy": null,
             },
-            "forecast": { // Amazon Forecast
+            "forecast": {
                 "algorithm": null,
                 "dataset": null,
                 "dataset-group": null,
@@ -556,15 +1389,15 @@ class ARN {
                 "forecast-export-job": null,
                 "predictor": null,
             },
-            "freertos": { // Amazon FreeRTOS
+            "freertos": {
                 "configuration": null,
             },
-            "fsx": { // Amazon FSx
+            "fsx": {
                 "backup": null,
                 "file-system": null,
                 "task": null,
             },
-            "gamelift": { // Amazon GameLift
+            "gamelift": {
                 "alias": null,
                 "build": null,
                 "fleet": null,
@@ -573,19 +1406,19 @@ class ARN {
                 "matchmakingruleset": null,
                 "script": null,
             },
-            "glacier": { // Amazon Glacier
+            "glacier": {
                 "vaults": null,
             },
-            "globalaccelerator": { // AWS Global Accelerator
+            "globalaccelerator": {
                 "accelerator": null,
             },
-            "glue": { // AWS Glue
+            "glue": {
                 "catalog": null,
                 "connection": null,
                 "crawler": null,
                 "database": null,
                 "devendpoint": null,
-                "job": () => `https://${this.region}.${this.console}/gluestudio/home?region=${this.region}#/editor/job/${this.resource}/script`,
+                "job": (arn) => `https://${arn.regionalConsole}/gluestudio/home?region=${arn.region}#/editor/job/${arn.resource}/script`,
                 "mlTransform": null,
                 "table": null,
                 "tableVersion": null,
@@ -593,10 +1426,10 @@ class ARN {
                 "userDefinedFunction": null,
                 "workflow": null,
             },
-            "greengrass": { // AWS IoT Greengrass
+            "greengrass": {
                 "": null,
             },
-            "groundstation": { // AWS Ground Station
+            "groundstation": {
                 "config": null,
                 "contact": null,
                 "dataflow-endpoint-group": null,
@@ -604,32 +1437,32 @@ class ARN {
                 "mission-profile": null,
                 "satellite": null,
             },
-            "guardduty": { // Amazon GuardDuty
+            "guardduty": {
                 "detector": null,
             },
-            "health": { // AWS Health APIs and Notifications
+            "health": {
                 "event": null,
             },
-            "honeycode": { // Amazon Honeycode
+            "honeycode": {
                 "screen": null,
                 "screen-automation": null,
             },
-            "iam": { // AWS Security Token Service
+            "iam": {
                 "access-report": null,
                 "assumed-role": null,
                 "federated-user": null,
-                "group": () => `https://${this.console}/iamv2/home#/groups/details/${this.pathLast}`,
+                "group": (arn) => `https://${arn.console}/iamv2/home#/groups/details/${arn.pathLast}`,
                 "instance-profile": null,
                 "mfa": null,
-                "oidc-provider": () => `https://${this.console}/iam/home?#/providers/${this.string}`,
-                "policy": () => `https://${this.console}/iam/home?#/policies/${this.string}`,
-                "role": () => `https://${this.console}/iam/home?#/roles/${this.pathLast}`,
+                "oidc-provider": (arn) => `https://${arn.console}/iam/home?#/providers/${arn.string}`,
+                "policy": (arn) => `https://${arn.console}/iam/home?#/policies/${arn.string}`,
+                "role": (arn) => `https://${arn.console}/iam/home?#/roles/${arn.pathLast}`,
                 "saml-provider": null,
                 "server-certificate": null,
                 "sms-mfa": null,
-                "user": () => `https://${this.console}/iam/home?#/users/${this.resource}`,
+                "user": (arn) => `https://${arn.console}/iam/home?#/users/${arn.resource}`,
             },
-            "imagebuilder": { // Amazon EC2 Image Builder
+            "imagebuilder": {
                 "component": null,
                 "distribution-configuration": null,
                 "image": null,
@@ -637,7 +1470,7 @@ class ARN {
                 "image-recipe": null,
                 "infrastructure-configuration": null,
             },
-            "iot": { // AWS IoT
+            "iot": {
                 "authorizer": null,
                 "billinggroup": null,
                 "cacert": null,
@@ -662,21 +1495,21 @@ class ARN {
                 "topicfilter": null,
                 "tunnel": null,
             },
-            "iot1click": { // AWS IoT 1-Click
+            "iot1click": {
                 "devices": null,
                 "projects": null,
             },
-            "iotanalytics": { // AWS IoT Analytics
+            "iotanalytics": {
                 "channel": null,
                 "dataset": null,
                 "datastore": null,
                 "pipeline": null,
             },
-            "iotevents": { // AWS IoT Events
+            "iotevents": {
                 "detectorModel": null,
                 "input": null,
             },
-            "iotsitewise": { // AWS IoT SiteWise
+            "iotsitewise": {
                 "access-policy": null,
                 "asset": null,
                 "asset-model": null,
@@ -685,46 +1518,46 @@ class ARN {
                 "portal": null,
                 "project": null,
             },
-            "iotthingsgraph": { // AWS IoT Things Graph
+            "iotthingsgraph": {
                 "Deployment": null,
                 "System": null,
                 "Workflow": null,
             },
-            "kafka": { // Amazon Managed Streaming for Kafka
+            "kafka": {
                 "cluster": null,
             },
-            "kendra": { // Amazon Kendra
+            "kendra": {
                 "index": null,
             },
-            "kinesis": { // Amazon Kinesis
-                "stream": () => `https://${this.region}.console.aws.amazon.com/kinesis/home?region=${this.region}#/streams/details/${this.resource}/details`,
+            "kinesis": {
+                "stream": (arn) => `https://${arn.regionalConsole}/kinesis/home?region=${arn.region}#/streams/details/${arn.resource}/details`,
             },
-            "kinesisanalytics": { // Amazon Kinesis Analytics V2
+            "kinesisanalytics": {
                 "application": null,
             },
-            "kinesisvideo": { // Amazon Kinesis Video Streams
+            "kinesisvideo": {
                 "channel": null,
                 "stream": null,
             },
-            "kms": { // AWS Key Management Service
+            "kms": {
                 "alias": null,
-                "key": () => `https://${this.console}/kms/home?region=${this.region}#/kms/keys/${this.resource}`,
+                "key": (arn) => `https://${arn.console}/kms/home?region=${arn.region}#/kms/keys/${arn.resource}`,
             },
-            "lambda": { // AWS Lambda
+            "lambda": {
                 "event-source-mapping": null,
-                "function": () => `https://${this.region}.${this.console}/lambda/home?region=${this.region}#/functions/${this.resource}`,
-                "layer": () => `https://${this.region}.${this.console}/lambda/home?region=${this.region}#/layers/${this.qualifiers[0]}/versions/${this.qualifiers[1] || 1}`,
+                "function": (arn) => `https://${arn.regionalConsole}/lambda/home?region=${arn.region}#/functions/${arn.resource}`,
+                "layer": (arn) => `https://${arn.regionalConsole}/lambda/home?region=${arn.region}#/layers/${arn.params.LayerName}/versions/${arn.params.LayerVersion || 1}`,
             },
-            "lex": { // Amazon Lex
+            "lex": {
                 "bot": null,
                 "bot-channel": null,
                 "intent": null,
                 "slottype": null,
             },
-            "license-manager": { // AWS License Manager
+            "license-manager": {
                 "license-configuration": null,
             },
-            "lightsail": { // Amazon Lightsail
+            "lightsail": {
                 "CloudFormationStackRecord": null,
                 "Disk": null,
                 "DiskSnapshot": null,
@@ -740,43 +1573,43 @@ class ARN {
                 "RelationalDatabaseSnapshot": null,
                 "StaticIp": null,
             },
-            "logs": { // Amazon CloudWatch Logs
-                "log-group": () => `https://${this.region}.${this.console}/cloudwatch/home?region=${this.region}#logsV2:log-groups/log-group/${this.resource.replace(/:\*$/, "").replace(/#/g, "$2523").replace(/[/]/g, "$252F")}`,
+            "logs": {
+                "log-group": (arn) => `https://${arn.regionalConsole}/cloudwatch/home?region=${arn.region}#logsV2:log-groups/log-group/${arn.params.LogGroupName.replace(/#/g, "$2523").replace(/[/]/g, "$252F")}`,
             },
-            "machinelearning": { // Amazon Machine Learning
+            "machinelearning": {
                 "batchprediction": null,
                 "datasource": null,
                 "evaluation": null,
                 "mlmodel": null,
             },
-            "macie2": { // Amazon Macie
+            "macie2": {
                 "classification-job": null,
                 "custom-data-identifier": null,
                 "findings-filter": null,
                 "member": null,
             },
-            "managedblockchain": { // Amazon Managed Blockchain
+            "managedblockchain": {
                 "invitations": null,
                 "members": null,
                 "networks": null,
                 "nodes": null,
                 "proposals": null,
             },
-            "mediaconnect": { // AWS Elemental MediaConnect
+            "mediaconnect": {
                 "entitlement": null,
                 "flow": null,
                 "output": null,
                 "source": null,
             },
-            "mediaconvert": { // AWS Elemental MediaConvert
+            "mediaconvert": {
                 "certificates": null,
                 "jobTemplates": null,
                 "jobs": null,
                 "presets": null,
                 "queues": null,
             },
-            "medialive": { // AWS Elemental MediaLive
-                "channel": () => `https://${this.region}.${this.console}/medialive/home?region=${this.region}#/channels/${this.resource}`,
+            "medialive": {
+                "channel": (arn) => `https://${arn.regionalConsole}/medialive/home?region=${arn.region}#/channels/${arn.resource}`,
                 "input": null,
                 "inputDevice": null,
                 "inputSecurityGroup": null,
@@ -784,48 +1617,48 @@ class ARN {
                 "offering": null,
                 "reservation": null,
             },
-            "mediapackage": { // AWS Elemental MediaPackage
+            "mediapackage": {
                 "channels": null,
                 "origin_endpoints": null,
             },
-            "mediapackage-vod": { // AWS Elemental MediaPackage VOD
+            "mediapackage-vod": {
                 "assets": null,
                 "packaging-configurations": null,
                 "packaging-groups": null,
             },
-            "mediastore": { // AWS Elemental MediaStore
+            "mediastore": {
                 "container": null,
             },
-            "mediatailor": { // AWS Elemental MediaTailor
+            "mediatailor": {
                 "playbackConfiguration": null,
             },
-            "mgh": { // AWS Migration Hub
+            "mgh": {
                 "progressUpdateStream": null,
             },
-            "mobilehub": { // AWS Mobile Hub
+            "mobilehub": {
                 "project": null,
             },
-            "mobiletargeting": { // Amazon Pinpoint
+            "mobiletargeting": {
                 "apps": null,
                 "recommenders": null,
                 "templates": null,
             },
-            "mq": { // Amazon MQ
+            "mq": {
                 "broker": null,
                 "configuration": null,
             },
-            "neptune-db": { // Amazon Neptune
+            "neptune-db": {
             },
-            "networkmanager": { // Network Manager
+            "networkmanager": {
                 "device": null,
                 "global-network": null,
                 "link": null,
                 "site": null,
             },
-            "opsworks": { // AWS OpsWorks
+            "opsworks": {
                 "stack": null,
             },
-            "organizations": { // AWS Organizations
+            "organizations": {
                 "account": null,
                 "handshake": null,
                 "organization": null,
@@ -833,12 +1666,12 @@ class ARN {
                 "policy": null,
                 "root": null,
             },
-            "outposts": { // AWS Outposts
+            "outposts": {
                 "order": null,
                 "outpost": null,
                 "site": null,
             },
-            "personalize": { // Amazon Personalize
+            "personalize": {
                 "algorithm": null,
                 "campaign": null,
                 "dataset": null,
@@ -850,49 +1683,49 @@ class ARN {
                 "schema": null,
                 "solution": null,
             },
-            "pi": { // AWS Performance Insights
+            "pi": {
                 "metrics": null,
             },
-            "polly": { // Amazon Polly
+            "polly": {
                 "lexicon": null,
             },
-            "qldb": { // Amazon QLDB
+            "qldb": {
                 "ledger": null,
                 "stream": null,
             },
-            "quicksight": { // Amazon QuickSight
+            "quicksight": {
                 "assignment": null,
                 "dashboard": null,
                 "group": null,
                 "template": null,
                 "user": null,
             },
-            "ram": { // AWS Resource Access Manager
+            "ram": {
                 "permission": null,
                 "resource-share": null,
                 "resource-share-invitation": null,
             },
-            "rds": { // Amazon RDS
-                "cluster": () => `https://${this.console}/rds/home?region=${this.region}#database:id=${this.resource};is-cluster=true`,
+            "rds": {
+                "cluster": (arn) => `https://${arn.console}/rds/home?region=${arn.region}#database:id=${arn.resource};is-cluster=true`,
                 "cluster-endpoint": null,
                 "cluster-pg": null,
-                "cluster-snapshot": () => `https://${this.console}/rds/home?region=${this.region}#db-snapshot:id=${this.resource}`,
-                "db": () => `https://${this.console}/rds/home?region=${this.region}#database:id=${this.resource}`,
+                "cluster-snapshot": (arn) => `https://${arn.console}/rds/home?region=${arn.region}#db-snapshot:id=${arn.resource}`,
+                "db": (arn) => `https://${arn.console}/rds/home?region=${arn.region}#database:id=${arn.resource}`,
                 "db-proxy": null,
                 "es": null,
-                "og": () => `https://${this.console}/rds/home?region=${this.region}#option-group-details:option-group-name=${this.resource}`,
+                "og": (arn) => `https://${arn.console}/rds/home?region=${arn.region}#option-group-details:option-group-name=${arn.resource}`,
                 "pg": null,
                 "ri": null,
                 "secgrp": null,
-                "snapshot": () => `https://${this.console}/rds/home?region=${this.region}#db-snapshot:id=${this.resource}`,
-                "subgrp": () => `https://${this.console}/rds/home?region=${this.region}#db-subnet-group:id=${this.resource}`,
+                "snapshot": (arn) => `https://${arn.console}/rds/home?region=${arn.region}#db-snapshot:id=${arn.resource}`,
+                "subgrp": (arn) => `https://${arn.console}/rds/home?region=${arn.region}#db-subnet-group:id=${arn.resource}`,
                 "target": null,
                 "target-group": null,
             },
-            "rds-db": { // Amazon RDS IAM Authentication
+            "rds-db": {
                 "dbuser": null,
             },
-            "redshift": { // Amazon Redshift
+            "redshift": {
                 "cluster": null,
                 "dbgroup": null,
                 "dbname": null,
@@ -908,15 +1741,15 @@ class ARN {
                 "snapshotschedule": null,
                 "subnetgroup": null,
             },
-            "rekognition": { // Amazon Rekognition
+            "rekognition": {
                 "collection": null,
                 "project": null,
                 "streamprocessor": null,
             },
-            "resource-groups": { // AWS Resource Groups
+            "resource-groups": {
                 "group": null,
             },
-            "robomaker": { // AWS RoboMaker
+            "robomaker": {
                 "deployment-fleet": null,
                 "deployment-job": null,
                 "robot": null,
@@ -925,25 +1758,25 @@ class ARN {
                 "simulation-job": null,
                 "simulation-job-batch": null,
             },
-            "route53": { // Amazon Route 53
+            "route53": {
                 "change": null,
                 "delegationset": null,
-                "healthcheck": () => `https://${this.console}/route53/healthchecks/home`,
-                "hostedzone": () => `https://${this.console}/route53/home?#resource-record-sets:${this.resource}`,
+                "healthcheck": (arn) => `https://${arn.console}/route53/healthchecks/home`,
+                "hostedzone": (arn) => `https://${arn.console}/route53/home?#resource-record-sets:${arn.resource}`,
                 "queryloggingconfig": null,
-                "trafficpolicy": () => `https://${this.console}/route53/trafficflow/home#/policy/${this.resource}`,
-                "trafficpolicyinstance": () => `https://${this.console}/route53/trafficflow/home#/modify-records/edit/${this.resource}`,
+                "trafficpolicy": (arn) => `https://${arn.console}/route53/trafficflow/home#/policy/${arn.resource}`,
+                "trafficpolicyinstance": (arn) => `https://${arn.console}/route53/trafficflow/home#/modify-records/edit/${arn.resource}`,
             },
-            "route53resolver": { // Amazon Route 53 Resolver
+            "route53resolver": {
                 "resolver-endpoint": null,
                 "resolver-rule": null,
             },
-            "s3": { // Amazon S3
-                "": () => `https://s3.${this.console}/s3/buckets/${this.resource}`,
+            "s3": {
+                "": (arn) => `https://s3.${arn.console}/s3/buckets/${arn.resource}${arn.region ? `?region=${arn.region}` : ''}`,
                 "accesspoint": null,
                 "job": null,
             },
-            "sagemaker": { // Amazon SageMaker
+            "sagemaker": {
                 "algorithm": null,
                 "app": null,
                 "automl-job": null,
@@ -972,41 +1805,34 @@ class ARN {
                 "workforce": null,
                 "workteam": null,
             },
-            "savingsplans": { // AWS Savings Plans
+            "savingsplans": {
                 "savingsplan": null,
             },
-            "schemas": { // Amazon EventBridge Schemas
+            "schemas": {
                 "discoverer": null,
                 "registry": null,
                 "schema": null,
             },
-            "sdb": { // Amazon SimpleDB
+            "sdb": {
                 "domain": null,
             },
-            "secretsmanager": { // AWS Secrets Manager
-                "secret": () => {
-                    const arnSuffix = /-\w{6}$/;
-                    if (!arnSuffix.test(this.resource)) {
-                        throw Error(`Secret ARN for "${this.resource}" appears invalid, should end with ${arnSuffix}`);
-                    }
-                    const name = this.resource.replace(arnSuffix, "");
-                    return `https://${this.region}.${this.console}/${this.service}/${this.resource_type}?name=${name}`;
-                },
+            "secretsmanager": {
+                "secret": (arn) => `https://${arn.regionalConsole}/${arn.service}/${arn.resource_type}?name=${ARN._secretName(arn)}`,
             },
-            "securityhub": { // AWS Security Hub
+            "securityhub": {
                 "hub": null,
                 "product": null,
             },
-            "serverlessrepo": { // AWS Serverless Application Repository
+            "serverlessrepo": {
                 "applications": null,
             },
-            "servicediscovery": { // AWS Cloud Map
+            "servicediscovery": {
                 "namespace": null,
                 "service": null,
             },
-            "servicequotas": { // Service Quotas
+            "servicequotas": {
             },
-            "ses": { // Amazon SES
+            "ses": {
                 "configuration-set": null,
                 "custom-verification-email-template": null,
                 "dedicated-ip-pool": null,
@@ -1016,20 +1842,20 @@ class ARN {
                 "receipt-rule-set": null,
                 "template": null,
             },
-            "shield": { // AWS Shield
+            "shield": {
                 "attack": null,
                 "protection": null,
             },
-            "signer": { // AWS Code Signing for Amazon FreeRTOS
+            "signer": {
                 "": null,
             },
-            "sns": { // Amazon SNS
-                "": () => `https://${this.console}/sns/v3/home?region=${this.region}#/topic/${this.arn}`,
+            "sns": {
+                "": (arn) => `https://${arn.console}/sns/v3/home?region=${arn.region}#/topic/${arn.arn}`,
             },
-            "sqs": { // Amazon SQS
-                "": () => `https://${this.region}.${this.console}/sqs/v2/home?region=${this.region}#/queues/https%3A%2F%2Fsqs.${this.region}.amazonaws.com%2F${this.account}%2F${this.resource}`
+            "sqs": {
+                "": (arn) => `https://${arn.regionalConsole}/sqs/v2/home?region=${arn.region}#/queues/https%3A%2F%2Fsqs.${arn.region}.amazonaws.com%2F${arn.account}%2F${arn.resource}`
             },
-            "ssm": { // AWS Systems Manager
+            "ssm": {
                 "association": null,
                 "automation-definition": null,
                 "automation-execution": null,
@@ -1046,33 +1872,38 @@ class ARN {
                 "windowtarget": null,
                 "windowtask": null,
             },
-            "states": { // AWS Step Functions
+            "states": {
                 "activity": null,
-                "execution": () => `https://${this.region}.${this.console}/states/home?region=${this.region}#/v2/executions/details/${this.string}`,
-                "stateMachine": () => `https://${this.region}.${this.console}/states/home?region=${this.region}#/statemachines/view/${this.string}`,
+                "execution": (arn) => `https://${arn.regionalConsole}/states/home?region=${arn.region}#/v2/executions/details/${arn.string}`,
+                "stateMachine": (arn) => `https://${arn.regionalConsole}/states/home?region=${arn.region}#/statemachines/view/${arn.string}`,
             },
-            "storagegateway": { // Amazon Storage Gateway
+            "storagegateway": {
                 "gateway": null,
                 "share": null,
                 "tape": null,
             },
-            "sumerian": { // Amazon Sumerian
+            "sts": {
+                // sessions have no page, their role has
+                "assumed-role": (arn) => `https://${arn.console}/iam/home?#/roles/${arn.params.RoleName}`,
+                "federated-user": null,
+            },
+            "sumerian": {
                 "project": null,
             },
-            "swf": { // Amazon Simple Workflow Service
+            "swf": {
                 "domain": null,
             },
-            "synthetics": { // Amazon CloudWatch Synthetics
+            "synthetics": {
                 "canary": null,
             },
-            "transfer": { // AWS Transfer for SFTP
+            "transfer": {
                 "server": null,
                 "user": null,
             },
-            "trustedadvisor": { // AWS Trusted Advisor
+            "trustedadvisor": {
                 "checks": null,
             },
-            "waf": { // AWS WAF
+            "waf": {
                 "bytematchset": null,
                 "geomatchset": null,
                 "ipset": null,
@@ -1086,7 +1917,7 @@ class ARN {
                 "webacl": null,
                 "xssmatchset": null,
             },
-            "waf-regional": { // AWS WAF Regional
+            "waf-regional": {
                 "bytematchset": null,
                 "geomatchset": null,
                 "ipset": null,
@@ -1101,51 +1932,956 @@ class ARN {
                 "xssmatchset": null,
             },
             "wafv2": {  // AWS WAF V2
-                "global": () => {
-                    const resource = this.resource.replace("webacl/", "");
-                    return `https://${this.console}/wafv2/homev2/web-acl/${resource}/overview?region=global`
-                 },
-                 "regional": () => {
-                    const resource = this.resource.replace("webacl/", "");
-                    return `https://${this.console}/wafv2/homev2/web-acl/${resource}/overview?region=${this.region}`
-                 }
-            },
-            "wellarchitected": { // AWS Well-Architected Tool
+                "global": (arn) => `https://${arn.console}/wafv2/homev2/web-acl/${arn.params.Name}/${arn.params.Id}/overview?region=global`,
+                "regional": (arn) => `https://${arn.console}/wafv2/homev2/web-acl/${arn.params.Name}/${arn.params.Id}/overview?region=${arn.region}`,
+            },
+            "wellarchitected": {
                 "workload": null,
             },
-            "worklink": { // Amazon WorkLink
+            "worklink": {
                 "fleet": null,
             },
-            "workmail": { // Amazon WorkMail
+            "workmail": {
                 "organization": null,
             },
-            "workmailmessageflow": { // Amazon WorkMail Message Flow
+            "workmailmessageflow": {
                 "message": null,
             },
-            "workspaces": { // Amazon WorkSpaces
+            "workspaces": {
                 "directory": null,
                 "workspace": null,
                 "workspacebundle": null,
                 "workspaceipgroup": null,
             },
-            "xray": { // AWS X-Ray
+            "xray": {
                 "group": null,
                 "sampling-rule": null,
             },
         }
     }
+
+    // Human-readable service names, for ARN.supportMatrix. This is the only
+    // place for them: every service in _getLinkTemplates needs an entry here.
+    static _getServiceNames() {
+        return {
+            "a4b": "Alexa for Business",
+            "access-analyzer": "IAM Access Analyzer",
+            "acm": "AWS Certificate Manager",
+            "acm-pca": "AWS Certificate Manager Private Certificate Authority",
+            "amplify": "AWS Amplify",
+            "apigateway": "Manage Amazon API Gateway",
+            "appconfig": "AWS AppConfig",
+            "appflow": "Amazon AppFlow",
+            "appmesh": "AWS App Mesh",
+            "appmesh-preview": "AWS App Mesh Preview",
+            "appstream": "Amazon AppStream 2.0",
+            "appsync": "AWS AppSync",
+            "artifact": "AWS Artifact",
+            "athena": "Amazon Athena",
+            "autoscaling": "Amazon EC2 Auto Scaling",
+            "aws-marketplace": "AWS Marketplace Catalog",
+            "backup": "AWS Backup",
+            "batch": "AWS Batch",
+            "budgets": "AWS Budget Service",
+            "cassandra": "Amazon Keyspaces (for Apache Cassandra)",
+            "catalog": "AWS Service Catalog",
+            "chatbot": "AWS Chatbot",
+            "chime": "Amazon Chime",
+            "cloud9": "AWS Cloud9",
+            "clouddirectory": "Amazon Cloud Directory",
+            "cloudformation": "AWS CloudFormation",
+            "cloudfront": "Amazon CloudFront",
+            "cloudhsm": "AWS CloudHSM",
+            "cloudsearch": "Amazon CloudSearch",
+            "cloudtrail": "AWS CloudTrail",
+            "cloudwatch": "Amazon CloudWatch",
+            "codeartifact": "AWS CodeArtifact",
+            "codebuild": "AWS CodeBuild",
+            "codecommit": "AWS CodeCommit",
+            "codeconnections": "AWS CodeConnections",
+            "codedeploy": "AWS CodeDeploy",
+            "codeguru-profiler": "Amazon CodeGuru Profiler",
+            "codeguru-reviewer": "Amazon CodeGuru Reviewer",
+            "codepipeline": "AWS CodePipeline",
+            "codestar": "AWS CodeStar",
+            "codestar-connections": "AWS CodeStar Connections",
+            "codestar-notifications": "AWS CodeStar Notifications",
+            "cognito-identity": "Amazon Cognito Identity",
+            "cognito-idp": "Amazon Cognito User Pools",
+            "cognito-sync": "Amazon Cognito Sync",
+            "comprehend": "Amazon Comprehend",
+            "config": "AWS Config",
+            "connect": "Amazon Connect",
+            "cur": "AWS Cost and Usage Report",
+            "dataexchange": "AWS Data Exchange",
+            "datasync": "DataSync",
+            "dax": "Amazon DynamoDB Accelerator (DAX)",
+            "deepcomposer": "AWS DeepComposer",
+            "deeplens": "AWS DeepLens",
+            "deepracer": "AWS DeepRacer",
+            "detective": "Amazon Detective",
+            "devicefarm": "AWS Device Farm",
+            "directconnect": "AWS Direct Connect",
+            "dlm": "Amazon Data Lifecycle Manager",
+            "dms": "AWS Database Migration Service",
+            "ds": "AWS Directory Service",
+            "dynamodb": "Amazon DynamoDB",
+            "ec2": "Amazon EC2",
+            "ecr": "Amazon Elastic Container Registry",
+            "ecs": "Amazon Elastic Container Service",
+            "eks": "Amazon Elastic Container Service for Kubernetes",
+            "elastic-inference": "Amazon Elastic Inference",
+            "elasticbeanstalk": "AWS Elastic Beanstalk",
+            "elasticfilesystem": "Amazon Elastic File System",
+            "elasticloadbalancing": "Elastic Load Balancing",
+            "elasticmapreduce": "Amazon Elastic MapReduce",
+            "elastictranscoder": "Amazon Elastic Transcoder",
+            "es": "Amazon Elasticsearch Service",
+            "events": "Amazon EventBridge",
+            "execute-api": "Amazon API Gateway",
+            "firehose": "Amazon Kinesis Firehose",
+            "fms": "AWS Firewall Manager",
+            "forecast": "Amazon Forecast",
+            "freertos": "Amazon FreeRTOS",
+            "fsx": "Amazon FSx",
+            "gamelift": "Amazon GameLift",
+            "glacier": "Amazon Glacier",
+            "globalaccelerator": "AWS Global Accelerator",
+            "glue": "AWS Glue",
+            "greengrass": "AWS IoT Greengrass",
+            "groundstation": "AWS Ground Station",
+            "guardduty": "Amazon GuardDuty",
+            "health": "AWS Health APIs and Notifications",
+            "honeycode": "Amazon Honeycode",
+            "iam": "AWS Identity and Access Management",
+            "imagebuilder": "Amazon EC2 Image Builder",
+            "iot": "AWS IoT",
+            "iot1click": "AWS IoT 1-Click",
+            "iotanalytics": "AWS IoT Analytics",
+            "iotevents": "AWS IoT Events",
+            "iotsitewise": "AWS IoT SiteWise",
+            "iotthingsgraph": "AWS IoT Things Graph",
+            "kafka": "Amazon Managed Streaming for Kafka",
+            "kendra": "Amazon Kendra",
+            "kinesis": "Amazon Kinesis",
+            "kinesisanalytics": "Amazon Kinesis Analytics V2",
+            "kinesisvideo": "Amazon Kinesis Video Streams",
+            "kms": "AWS Key Management Service",
+            "lambda": "AWS Lambda",
+            "lex": "Amazon Lex",
+            "license-manager": "AWS License Manager",
+            "lightsail": "Amazon Lightsail",
+            "logs": "Amazon CloudWatch Logs",
+            "machinelearning": "Amazon Machine Learning",
+            "macie2": "Amazon Macie",
+            "managedblockchain": "Amazon Managed Blockchain",
+            "mediaconnect": "AWS Elemental MediaConnect",
+            "mediaconvert": "AWS Elemental MediaConvert",
+            "medialive": "AWS Elemental MediaLive",
+            "mediapackage": "AWS Elemental MediaPackage",
+            "mediapackage-vod": "AWS Elemental MediaPackage VOD",
+            "mediastore": "AWS Elemental MediaStore",
+            "mediatailor": "AWS Elemental MediaTailor",
+            "mgh": "AWS Migration Hub",
+            "mobilehub": "AWS Mobile Hub",
+            "mobiletargeting": "Amazon Pinpoint",
+            "mq": "Amazon MQ",
+            "neptune-db": "Amazon Neptune",
+            "networkmanager": "Network Manager",
+            "opsworks": "AWS OpsWorks",
+            "organizations": "AWS Organizations",
+            "outposts": "AWS Outposts",
+            "personalize": "Amazon Personalize",
+            "pi": "AWS Performance Insights",
+            "polly": "Amazon Polly",
+            "qldb": "Amazon QLDB",
+            "quicksight": "Amazon QuickSight",
+            "ram": "AWS Resource Access Manager",
+            "rds": "Amazon RDS",
+            "rds-db": "Amazon RDS IAM Authentication",
+            "redshift": "Amazon Redshift",
+            "rekognition": "Amazon Rekognition",
+            "resource-groups": "AWS Resource Groups",
+            "robomaker": "AWS RoboMaker",
+            "route53": "Amazon Route 53",
+            "route53resolver": "Amazon Route 53 Resolver",
+            "s3": "Amazon S3",
+            "sagemaker": "Amazon SageMaker",
+            "savingsplans": "AWS Savings Plans",
+            "schemas": "Amazon EventBridge Schemas",
+            "sdb": "Amazon SimpleDB",
+            "secretsmanager": "AWS Secrets Manager",
+            "securityhub": "AWS Security Hub",
+            "serverlessrepo": "AWS Serverless Application Repository",
+            "servicediscovery": "AWS Cloud Map",
+            "servicequotas": "Service Quotas",
+            "ses": "Amazon SES",
+            "shield": "AWS Shield",
+            "signer": "AWS Code Signing for Amazon FreeRTOS",
+            "sns": "Amazon SNS",
+            "sqs": "Amazon SQS",
+            "ssm": "AWS Systems Manager",
+            "states": "AWS Step Functions",
+            "storagegateway": "Amazon Storage Gateway",
+            "sts": "AWS Security Token Service",
+            "sumerian": "Amazon Sumerian",
+            "swf": "Amazon Simple Workflow Service",
+            "synthetics": "Amazon CloudWatch Synthetics",
+            "transfer": "AWS Transfer for SFTP",
+            "trustedadvisor": "AWS Trusted Advisor",
+            "waf": "AWS WAF",
+            "waf-regional": "AWS WAF Regional",
+            "wafv2": "AWS WAF V2",
+            "wellarchitected": "AWS Well-Architected Tool",
+            "worklink": "Amazon WorkLink",
+            "workmail": "Amazon WorkMail",
+            "workmailmessageflow": "Amazon WorkMail Message Flow",
+            "workspaces": "Amazon WorkSpaces",
+            "xray": "AWS X-Ray",
+        };
+    }
+
+    // Console home (or list) pages of services, for fallback links. The
+    // region parameter is added before the fragment.
+    static _getServiceHomes() {
+        return {
+            "access-analyzer": "access-analyzer/home",
+            "acm": "acm/home",
+            "acm-pca": "acm-pca/home",
+            "amplify": "amplify/home",
+            "apigateway": "apigateway/main/apis",
+            "appsync": "appsync/home",
+            "athena": "athena/home",
+            "autoscaling": "ec2/home#AutoScalingGroups:",
+            "backup": "backup/home",
+            "batch": "batch/home",
+            "cloudformation": "cloudformation/home",
+            "cloudfront": "cloudfront/v4/home",
+            "cloudtrail": "cloudtrailv2/home",
+            "cloudwatch": "cloudwatch/home",
+            "codeartifact": "codesuite/codeartifact/home",
+            "codebuild": "codesuite/codebuild/projects",
+            "codecommit": "codesuite/codecommit/repositories",
+            "codedeploy": "codesuite/codedeploy/applications",
+            "codepipeline": "codesuite/codepipeline/pipelines",
+            "cognito-idp": "cognito/v2/idp/user-pools",
+            "config": "config/home",
+            "dynamodb": "dynamodbv2/home",
+            "ec2": "ec2/home",
+            "ecr": "ecr/private-registry/repositories",
+            "ecs": "ecs/v2/clusters",
+            "eks": "eks/home#/clusters",
+            "elasticache": "elasticache/home",
+            "elasticbeanstalk": "elasticbeanstalk/home",
+            "elasticfilesystem": "efs/home",
+            "elasticloadbalancing": "ec2/home#LoadBalancers:",
+            "es": "aos/home",
+            "events": "events/home",
+            "firehose": "firehose/home",
+            "glue": "glue/home",
+            "guardduty": "guardduty/home",
+            "iam": "iam/home",
+            "kinesis": "kinesis/home",
+            "kms": "kms/home",
+            "lambda": "lambda/home",
+            "logs": "cloudwatch/home#logsV2:log-groups",
+            "organizations": "organizations/v2/home",
+            "rds": "rds/home",
+            "redshift": "redshiftv2/home",
+            "route53": "route53/v2/home",
+            "s3": "s3/home",
+            "sagemaker": "sagemaker/home",
+            "secretsmanager": "secretsmanager/listsecrets",
+            "ses": "ses/home",
+            "sns": "sns/v3/home",
+            "sqs": "sqs/v2/home",
+            "ssm": "systems-manager/home",
+            "states": "states/home",
+            "wafv2": "wafv2/homev2",
+        };
+    }
+
+    // AWS CLI commands for cliCommand: arguments after "aws", without
+    // --region (added for ARNs with region). Read-only commands only.
+    static _getCliCommands() {
+        return {
+            "access-analyzer": {
+                "analyzer": (arn) => ["accessanalyzer", "get-analyzer", "--analyzer-name", arn.params.AnalyzerName],
+            },
+            "acm": {
+                "certificate": (arn) => ["acm", "describe-certificate", "--certificate-arn", arn.arn],
+            },
+            "amplify": {
+                "apps": (arn) => {
+                    if (arn.params.JobId) {
+                        return ["amplify", "get-job", "--app-id", arn.params.AppId, "--branch-name", arn.params.BranchName, "--job-id", arn.params.JobId];
+                    } else if (arn.params.BranchName) {
+                        return ["amplify", "get-branch", "--app-id", arn.params.AppId, "--branch-name", arn.params.BranchName];
+                    }
+                    return ["amplify", "get-app", "--app-id", arn.params.AppId];
+                },
+            },
+            "apigateway": {
+                "restapis": (arn) => ["apigateway", "get-rest-api", "--rest-api-id", arn.params.RestApiId],
+            },
+            "autoscaling": {
+                "autoScalingGroup": (arn) => ["autoscaling", "describe-auto-scaling-groups", "--auto-scaling-group-names", arn.params.GroupFriendlyName],
+            },
+            "backup": {
+                "backup-vault": (arn) => ["backup", "describe-backup-vault", "--backup-vault-name", arn.params.BackupVaultName],
+            },
+            "cloudfront": {
+                "distribution": (arn) => ["cloudfront", "get-distribution", "--id", arn.params.DistributionId],
+            },
+            "codebuild": {
+                "project": (arn) => ["codebuild", "batch-get-projects", "--names", arn.params.ProjectName],
+            },
+            "codeconnections": {
+                "connection": (arn) => ["codeconnections", "get-connection", "--connection-arn", arn.arn],
+            },
+            "codepipeline": {
+                "": (arn) => ["codepipeline", "get-pipeline", "--name", arn.params.PipelineName],
+            },
+            "codestar-connections": {
+                "connection": (arn) => ["codestar-connections", "get-connection", "--connection-arn", arn.arn],
+            },
+            "dynamodb": {
+                "table": (arn) => ["dynamodb", "describe-table", "--table-name", arn.params.TableName],
+            },
+            "ec2": {
+                "eip-allocation": (arn) => ["ec2", "describe-addresses", "--allocation-ids", arn.params.AllocationId],
+                "image": (arn) => ["ec2", "describe-images", "--image-ids", arn.params.ImageId],
+                "instance": (arn) => ["ec2", "describe-instances", "--instance-ids", arn.params.InstanceId],
+                "launch-template": (arn) => ["ec2", "describe-launch-templates", "--launch-template-ids", arn.params.LaunchTemplateId],
+                "natgateway": (arn) => ["ec2", "describe-nat-gateways", "--nat-gateway-ids", arn.params.NatGatewayId],
+                "security-group": (arn) => ["ec2", "describe-security-groups", "--group-ids", arn.params.SecurityGroupId],
+                "snapshot": (arn) => ["ec2", "describe-snapshots", "--snapshot-ids", arn.params.SnapshotId],
+                "subnet": (arn) => ["ec2", "describe-subnets", "--subnet-ids", arn.params.SubnetId],
+                "volume": (arn) => ["ec2", "describe-volumes", "--volume-ids", arn.params.VolumeId],
+                "vpc": (arn) => ["ec2", "describe-vpcs", "--vpc-ids", arn.params.VpcId],
+                "vpc-endpoint": (arn) => ["ec2", "describe-vpc-endpoints", "--vpc-endpoint-ids", arn.params.VpcEndpointId],
+            },
+            "ecr": {
+                "repository": (arn) => ["ecr", "describe-repositories", "--repository-names", arn.params.RepositoryName],
+            },
+            "ecs": {
+                "cluster": (arn) => ["ecs", "describe-clusters", "--clusters", arn.params.ClusterName],
+                "service": (arn) => ["ecs", "describe-services", "--cluster", arn.params.ClusterName, "--services", arn.params.ServiceName],
+                "task": (arn) => ["ecs", "describe-tasks", "--cluster", arn.params.ClusterName, "--tasks", arn.params.TaskId],
+                "task-definition": (arn) => ["ecs", "describe-task-definition", "--task-definition", arn.params.TaskDefinitionFamilyName + (arn.params.TaskDefinitionRevisionNumber ? `:${arn.params.TaskDefinitionRevisionNumber}` : '')],
+            },
+            "eks": {
+                "cluster": (arn) => ["eks", "describe-cluster", "--name", arn.params.ClusterName],
+                "nodegroup": (arn) => ["eks", "describe-nodegroup", "--cluster-name", arn.params.ClusterName, "--nodegroup-name", arn.params.NodegroupName],
+            },
+            "elasticbeanstalk": {
+                "environment": (arn) => ["elasticbeanstalk", "describe-environments", "--application-name", arn.params.ApplicationName, "--environment-names", arn.params.EnvironmentName],
+            },
+            "elasticloadbalancing": {
+                // Application, Network and Gateway Load Balancers have a type, Classic Load Balancers don't
+                "loadbalancer": (arn) => arn.params.LoadBalancerType
+                    ? ["elbv2", "describe-load-balancers", "--load-balancer-arns", arn.arn]
+                    : ["elb", "describe-load-balancers", "--load-balancer-names", arn.params.LoadBalancerName],
+            },
+            "es": {
+                "domain": (arn) => ["opensearch", "describe-domain", "--domain-name", arn.params.DomainName],
+            },
+            "firehose": {
+                "deliverystream": (arn) => ["firehose", "describe-delivery-stream", "--delivery-stream-name", arn.params.DeliveryStreamName],
+            },
+            "glue": {
+                "job": (arn) => ["glue", "get-job", "--job-name", arn.params.JobName],
+            },
+            "iam": {
+                "group": (arn) => ["iam", "get-group", "--group-name", arn.pathLast],
+                "oidc-provider": (arn) => ["iam", "get-open-id-connect-provider", "--open-id-connect-provider-arn", arn.arn],
+                "policy": (arn) => ["iam", "get-policy", "--policy-arn", arn.arn],
+                "role": (arn) => ["iam", "get-role", "--role-name", arn.pathLast],
+                "user": (arn) => ["iam", "get-user", "--user-name", arn.pathLast],
+            },
+            "kinesis": {
+                "stream": (arn) => ["kinesis", "describe-stream-summary", "--stream-name", arn.params.StreamName],
+            },
+            "kms": {
+                "key": (arn) => ["kms", "describe-key", "--key-id", arn.arn],
+            },
+            "lambda": {
+                "function": (arn) => ["lambda", "get-function", "--function-name", arn.arn],
+                "layer": (arn) => arn.params.LayerVersion
+                    ? ["lambda", "get-layer-version", "--layer-name", arn.params.LayerName, "--version-number", arn.params.LayerVersion]
+                    : ["lambda", "list-layer-versions", "--layer-name", arn.params.LayerName],
+            },
+            "logs": {
+                "log-group": (arn) => ["logs", "describe-log-groups", "--log-group-name-prefix", arn.params.LogGroupName],
+            },
+            "medialive": {
+                "channel": (arn) => ["medialive", "describe-channel", "--channel-id", arn.params.ChannelId],
+            },
+            "rds": {
+                "cluster": (arn) => ["rds", "describe-db-clusters", "--db-cluster-identifier", arn.params.DbClusterInstanceName],
+                "cluster-snapshot": (arn) => ["rds", "describe-db-cluster-snapshots", "--db-cluster-snapshot-identifier", arn.params.ClusterSnapshotName],
+                "db": (arn) => ["rds", "describe-db-instances", "--db-instance-identifier", arn.params.DbInstanceName],
+                "og": (arn) => ["rds", "describe-option-groups", "--option-group-name", arn.params.OptionGroupName],
+                "snapshot": (arn) => ["rds", "describe-db-snapshots", "--db-snapshot-identifier", arn.params.SnapshotName],
+                "subgrp": (arn) => ["rds", "describe-db-subnet-groups", "--db-subnet-group-name", arn.params.SubnetGroupName],
+            },
+            "route53": {
+                "healthcheck": (arn) => ["route53", "get-health-check", "--health-check-id", arn.params.Id],
+                "hostedzone": (arn) => ["route53", "get-hosted-zone", "--id", arn.params.Id],
+                "trafficpolicyinstance": (arn) => ["route53", "get-traffic-policy-instance", "--id", arn.params.Id],
+            },
+            "s3": {
+                "": (arn) => ["s3api", "get-bucket-location", "--bucket", arn.params.BucketName],
+            },
+            "secretsmanager": {
+                // describe-secret, not get-secret-value: shows the secret, not its value
+                "secret": (arn) => ["secretsmanager", "describe-secret", "--secret-id", arn.arn],
+            },
+            "sns": {
+                "": (arn) => ["sns", "get-topic-attributes", "--topic-arn", arn.arn],
+            },
+            "sqs": {
+                "": (arn) => ["sqs", "get-queue-url", "--queue-name", arn.params.QueueName, "--queue-owner-aws-account-id", arn.account],
+            },
+            "states": {
+                "execution": (arn) => ["stepfunctions", "describe-execution", "--execution-arn", arn.arn],
+                "stateMachine": (arn) => ["stepfunctions", "describe-state-machine", "--state-machine-arn", arn.arn],
+            },
+            "sts": {
+                "assumed-role": (arn) => ["iam", "get-role", "--role-name", arn.params.RoleName],
+            },
+            "wafv2": {
+                "global": (arn) => ["wafv2", "get-web-acl", "--name", arn.params.Name, "--id", arn.params.Id, "--scope", "CLOUDFRONT"],
+                "regional": (arn) => ["wafv2", "get-web-acl", "--name", arn.params.Name, "--id", arn.params.Id, "--scope", "REGIONAL"],
+            },
+        };
+    }
+
+    // AWS Config resource types, for resource types whose Config resource ID
+    // is the resource in the ARN (not e.g. the unique ID of IAM users).
+    static _getConfigResourceTypes() {
+        return {
+            "backup": {
+                "backup-vault": "AWS::Backup::BackupVault",
+            },
+            "cloudfront": {
+                "distribution": "AWS::CloudFront::Distribution",
+            },
+            "dynamodb": {
+                "table": "AWS::DynamoDB::Table",
+            },
+            "ec2": {
+                "instance": "AWS::EC2::Instance",
+                "launch-template": "AWS::EC2::LaunchTemplate",
+                "natgateway": "AWS::EC2::NatGateway",
+                "security-group": "AWS::EC2::SecurityGroup",
+                "subnet": "AWS::EC2::Subnet",
+                "volume": "AWS::EC2::Volume",
+                "vpc": "AWS::EC2::VPC",
+                "vpc-endpoint": "AWS::EC2::VPCEndpoint",
+            },
+            "ecr": {
+                "repository": "AWS::ECR::Repository",
+            },
+            "eks": {
+                "cluster": "AWS::EKS::Cluster",
+            },
+            "kinesis": {
+                "stream": "AWS::Kinesis::Stream",
+            },
+            "lambda": {
+                "function": "AWS::Lambda::Function",
+            },
+            "s3": {
+                "": "AWS::S3::Bucket",
+            },
+        };
+    }
+
+    // ARN formats of the resource types in _getLinkTemplates that have a
+    // link, in the style of the Service Authorization Reference.
+    // "${Name}" is a named component (available as arn.params.Name), "[...]"
+    // is optional. An empty region or account means there must be none.
+    // Resource types with several formats are tried in order.
+    static _getSchemas() {
+        return {
+            "access-analyzer": {
+                "analyzer": "arn:${Partition}:access-analyzer:${Region}:${Account}:analyzer/${AnalyzerName}",
+            },
+            "acm": {
+                "certificate": "arn:${Partition}:acm:${Region}:${Account}:certificate/${CertificateId}",
+            },
+            "amplify": {
+                "apps": [
+                    "arn:${Partition}:amplify:${Region}:${Account}:apps/${AppId}/branches/${BranchName}/jobs/${JobId}",
+                    "arn:${Partition}:amplify:${Region}:${Account}:apps/${AppId}/branches/${BranchName}",
+                    "arn:${Partition}:amplify:${Region}:${Account}:apps/${AppId}",
+                ],
+            },
+            "apigateway": {
+                "restapis": "arn:${Partition}:apigateway:${Region}::/restapis/${RestApiId}",
+            },
+            "autoscaling": {
+                "autoScalingGroup": "arn:${Partition}:autoscaling:${Region}:${Account}:autoScalingGroup:${GroupId}:autoScalingGroupName/${GroupFriendlyName}",
+            },
+            "backup": {
+                "backup-vault": "arn:${Partition}:backup:${Region}:${Account}:backup-vault:${BackupVaultName}",
+            },
+            "cloudfront": {
+                "distribution": "arn:${Partition}:cloudfront::${Account}:distribution/${DistributionId}",
+            },
+            "codebuild": {
+                "project": "arn:${Partition}:codebuild:${Region}:${Account}:project/${ProjectName}",
+            },
+            "codeconnections": {
+                "connection": "arn:${Partition}:codeconnections:${Region}:${Account}:connection/${ConnectionId}",
+            },
+            "codepipeline": {
+                "": "arn:${Partition}:codepipeline:${Region}:${Account}:${PipelineName}",
+            },
+            "codestar-connections": {
+                "connection": "arn:${Partition}:codestar-connections:${Region}:${Account}:connection/${ConnectionId}",
+            },
+            "dynamodb": {
+                "table": "arn:${Partition}:dynamodb:${Region}:${Account}:table/${TableName}",
+            },
+            "ec2": {
+                "eip-allocation": "arn:${Partition}:ec2:${Region}:${Account}:eip-allocation/${AllocationId}",
+                "image": "arn:${Partition}:ec2:${Region}:${Account}:image/${ImageId}",
+                "instance": "arn:${Partition}:ec2:${Region}:${Account}:instance/${InstanceId}",
+                "natgateway": "arn:${Partition}:ec2:${Region}:${Account}:natgateway/${NatGatewayId}",
+                "launch-template": "arn:${Partition}:ec2:${Region}:${Account}:launch-template/${LaunchTemplateId}",
+                "security-group": "arn:${Partition}:ec2:${Region}:${Account}:security-group/${SecurityGroupId}",
+                "snapshot": "arn:${Partition}:ec2:${Region}:${Account}:snapshot/${SnapshotId}",
+                "subnet": "arn:${Partition}:ec2:${Region}:${Account}:subnet/${SubnetId}",
+                "volume": "arn:${Partition}:ec2:${Region}:${Account}:volume/${VolumeId}",
+                "vpc": "arn:${Partition}:ec2:${Region}:${Account}:vpc/${VpcId}",
+                "vpc-endpoint": "arn:${Partition}:ec2:${Region}:${Account}:vpc-endpoint/${VpcEndpointId}",
+            },
+            "ecr": {
+                "repository": "arn:${Partition}:ecr:${Region}:${Account}:repository/${RepositoryName}",
+            },
+            "ecs": {
+                "cluster": "arn:${Partition}:ecs:${Region}:${Account}:cluster/${ClusterName}",
+                "service": "arn:${Partition}:ecs:${Region}:${Account}:service/${ClusterName}/${ServiceName}",
+                "task": "arn:${Partition}:ecs:${Region}:${Account}:task/${ClusterName}/${TaskId}",
+                "task-definition": "arn:${Partition}:ecs:${Region}:${Account}:task-definition/${TaskDefinitionFamilyName}[:${TaskDefinitionRevisionNumber}]",
+            },
+            "eks": {
+                "cluster": "arn:${Partition}:eks:${Region}:${Account}:cluster/${ClusterName}",
+                "nodegroup": "arn:${Partition}:eks:${Region}:${Account}:nodegroup/${ClusterName}/${NodegroupName}/${UUID}",
+            },
+            "elasticbeanstalk": {
+                "environment": "arn:${Partition}:elasticbeanstalk:${Region}:${Account}:environment/${ApplicationName}/${EnvironmentName}",
+            },
+            "elasticloadbalancing": {
+                "loadbalancer": [
+                    "arn:${Partition}:elasticloadbalancing:${Region}:${Account}:loadbalancer/${LoadBalancerType}/${LoadBalancerName}/${LoadBalancerId}",
+                    "arn:${Partition}:elasticloadbalancing:${Region}:${Account}:loadbalancer/${LoadBalancerName}",
+                ],
+            },
+            "es": {
+                "domain": "arn:${Partition}:es:${Region}:${Account}:domain/${DomainName}",
+            },
+            "firehose": {
+                "deliverystream": "arn:${Partition}:firehose:${Region}:${Account}:deliverystream/${DeliveryStreamName}",
+            },
+            "glue": {
+                "job": "arn:${Partition}:glue:${Region}:${Account}:job/${JobName}",
+            },
+            "iam": {
+                "group": "arn:${Partition}:iam::${Account}:group/${GroupNameWithPath}",
+                "oidc-provider": "arn:${Partition}:iam::${Account}:oidc-provider/${OidcProviderName}",
+                "policy": "arn:${Partition}:iam::${Account}:policy/${PolicyNameWithPath}",
+                "role": "arn:${Partition}:iam::${Account}:role/${RoleNameWithPath}",
+                "user": "arn:${Partition}:iam::${Account}:user/${UserNameWithPath}",
+            },
+            "kinesis": {
+                "stream": "arn:${Partition}:kinesis:${Region}:${Account}:stream/${StreamName}",
+            },
+            "kms": {
+                "key": "arn:${Partition}:kms:${Region}:${Account}:key/${KeyId}",
+            },
+            "lambda": {
+                "function": "arn:${Partition}:lambda:${Region}:${Account}:function:${FunctionName}[:${Qualifier}]",
+                "layer": "arn:${Partition}:lambda:${Region}:${Account}:layer:${LayerName}[:${LayerVersion}]",
+            },
+            "logs": {
+                "log-group": "arn:${Partition}:logs:${Region}:${Account}:log-group:${LogGroupName}[:*]",
+            },
+            "medialive": {
+                "channel": "arn:${Partition}:medialive:${Region}:${Account}:channel:${ChannelId}",
+            },
+            "rds": {
+                "cluster": "arn:${Partition}:rds:${Region}:${Account}:cluster:${DbClusterInstanceName}",
+                "cluster-snapshot": "arn:${Partition}:rds:${Region}:${Account}:cluster-snapshot:${ClusterSnapshotName}",
+                "db": "arn:${Partition}:rds:${Region}:${Account}:db:${DbInstanceName}",
+                "og": "arn:${Partition}:rds:${Region}:${Account}:og:${OptionGroupName}",
+                "snapshot": "arn:${Partition}:rds:${Region}:${Account}:snapshot:${SnapshotName}",
+                "subgrp": "arn:${Partition}:rds:${Region}:${Account}:subgrp:${SubnetGroupName}",
+            },
+            "route53": {
+                "healthcheck": "arn:${Partition}:route53:::healthcheck/${Id}",
+                "hostedzone": "arn:${Partition}:route53:::hostedzone/${Id}",
+                "trafficpolicy": "arn:${Partition}:route53:::trafficpolicy/${Id}",
+                "trafficpolicyinstance": "arn:${Partition}:route53:::trafficpolicyinstance/${Id}",
+            },
+            "s3": {
+                "": "arn:${Partition}:s3:::${BucketName}",
+            },
+            "secretsmanager": {
+                "secret": "arn:${Partition}:secretsmanager:${Region}:${Account}:secret:${SecretId}",
+            },
+            "sns": {
+                "": "arn:${Partition}:sns:${Region}:${Account}:${TopicName}",
+            },
+            "sqs": {
+                "": "arn:${Partition}:sqs:${Region}:${Account}:${QueueName}",
+            },
+            "states": {
+                "execution": "arn:${Partition}:states:${Region}:${Account}:execution:${StateMachineName}:${ExecutionId}",
+                "stateMachine": "arn:${Partition}:states:${Region}:${Account}:stateMachine:${StateMachineName}",
+            },
+            "sts": {
+                "assumed-role": "arn:${Partition}:sts::${Account}:assumed-role/${RoleName}/${RoleSessionName}",
+            },
+            "wafv2": {
+                "global": "arn:${Partition}:wafv2:${Region}:${Account}:global/webacl/${Name}/${Id}",
+                "regional": "arn:${Partition}:wafv2:${Region}:${Account}:regional/webacl/${Name}/${Id}",
+            },
+        };
+    }
+
+    // Compile a format from _getSchemas into {format, region, account,
+    // resource: RegExp, names, minSeparators}.
+    static _compileSchema(format) {
+        // arn:partition:service:region:account:resource
+        var fields = format.split(':');
+        var resourceFormat = fields.slice(5).join(':');
+        var names = [];
+
+        // Named components are lazy so that "${A}/${B}" splits at the first
+        // "/"; the last one takes the rest of the resource.
+        var pattern = resourceFormat.replace(/\$\{(\w+)\}|\[|\]|[^$[\]]+?(?=\$\{|\[|\]|$)/g, (token, name) => {
+            if (name) {
+                names.push(name);
+                return '(.+?)';
+            }
+            if (token == '[') {
+                return '(?:';
+            }
+            if (token == ']') {
+                return ')?';
+            }
+            return token.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        });
+
+        return {
+            format: format,
+            region: fields[3] != '',
+            account: fields[4] != '',
+            resource: new RegExp(`^${pattern}$`),
+            names: names,
+            // separators in the non-optional part, to tell "missing segment"
+            // from other mismatches
+            minSeparators: resourceFormat.replace(/\[[^\]]*\]/g, '').replace(/\$\{\w+\}/g, '').replace(/[^/:]/g, '').length,
+        };
+    }
+
+    // Match the ARN against the schema of its resource type, setting
+    // this.schema (matching format or null), this.params (named components)
+    // and this.violations ([{field, code, message}]).
+    _applySchema() {
+        this.schema = null;
+        this.params = {};
+        this.violations = [];
+
+        var serviceSchemas = ARN._cached('schemas', ARN._getSchemas)[this.service];
+        var formats = serviceSchemas && serviceSchemas[this.resource_type];
+        if (!formats) {
+            return;
+        }
+        var schemas = [].concat(formats).map(format => ARN._cached(`schema:${format}`, () => ARN._compileSchema(format)));
+
+        // the raw resource part of the ARN
+        var resource = this.arn.split(':').slice(5).join(':');
+        var schema = schemas.find(schema => schema.resource.test(resource));
+
+        if (!schema) {
+            var separators = resource.replace(/[^/:]/g, '').length;
+            this.violations.push({
+                field: 'resource',
+                code: separators < schemas[0].minSeparators ? 'MISSING_SEGMENT' : 'BAD_RESOURCE',
+                message: `Resource "${resource}" does not match ${schemas.map(x => x.format).join(' or ')}`,
+            });
+            schema = schemas[0];
+        } else {
+            this.schema = schema.format;
+            this.params = { Partition: this.partition, Region: this.region, Account: this.account };
+            var m = schema.resource.exec(resource);
+            schema.names.forEach((name, i) => {
+                if (typeof (m[i + 1]) !== 'undefined') {
+                    this.params[name] = m[i + 1];
+                }
+            });
+        }
+
+        var partition = ARN._cached('partitions', ARN._getPartitions)[this.partition];
+        if (schema.region && this.region == '') {
+            this.violations.push({ field: 'region', code: 'MISSING_REGION', message: `${this.service} ${this.resource_type} ARNs must have a region` });
+        } else if (schema.region && !/^[a-z]{2}(-[a-z]+)+-[0-9]+$/.test(this.region)) {
+            this.violations.push({ field: 'region', code: 'BAD_REGION', message: `Region "${this.region}" is not a valid region` });
+        } else if (schema.region && partition && !partition.regions.includes(this.region)) {
+            this.violations.push({ field: 'region', code: 'UNKNOWN_REGION', message: `Region "${this.region}" is not a known region of partition ${this.partition}` });
+        } else if (!schema.region && this.region != '') {
+            this.violations.push({ field: 'region', code: 'UNEXPECTED_REGION', message: `${this.service} is a global service, its ARNs have no region` });
+        }
+
+        // "aws" is the owner of AWS managed resources, e.g. IAM policies
+        if (schema.account && this.account == '') {
+            this.violations.push({ field: 'account', code: 'MISSING_ACCOUNT', message: `${this.service} ${this.resource_type} ARNs must have an account ID` });
+        } else if (schema.account && !/^[0-9]{12}$/.test(this.account) && this.account != 'aws') {
+            this.violations.push({ field: 'account', code: 'BAD_ACCOUNT', message: `Account ID "${this.account}" should be 12 digits` });
+        } else if (!schema.account && this.account != '') {
+            this.violations.push({ field: 'account', code: 'UNEXPECTED_ACCOUNT', message: `${this.service} ${this.resource_type} ARNs have no account ID` });
+        }
+    }
+
+    // Console link patterns for ARN.fromConsoleLink, in the same order as
+    // _getLinkTemplates. Each entry is a regular expression matched against
+    // the path of the link (everything after the domain), and a function
+    // that builds the ARN from the match and the partition, region and
+    // account fields.
+    // Links that lose information cannot be reversed and have no entry here,
+    // e.g. Secrets Manager (random suffix), EKS node groups (UUID), Auto
+    // Scaling groups (UUID), Elastic Beanstalk environments and Route 53
+    // health checks (no resource in the link).
+    static _getConsoleLinkPatterns() {
+        return [
+            [/^\/access-analyzer\/home\?region=[a-z0-9-]+#\/analyzer\/([^/?#]+)$/, (m, f) => `arn:${f.partition}:access-analyzer:${f.region}:${f.account}:analyzer/${m[1]}`],
+            [/^\/acm\/home\?region=[a-z0-9-]+#\/certificates\/([^/?#]+)$/, (m, f) => `arn:${f.partition}:acm:${f.region}:${f.account}:certificate/${m[1]}`],
+            [/^\/amplify\/home\?region=[a-z0-9-]+#\/([^/?#]+)\/([^/?#]+)\/([0-9]+)$/, (m, f) => `arn:${f.partition}:amplify:${f.region}:${f.account}:apps/${m[1]}/branches/${m[2]}/jobs/${m[3]}`],
+            [/^\/apigateway\/main\/apis\/([^/?#]+)\/resources\?api=[^&]+&region=[a-z0-9-]+$/, (m, f) => `arn:${f.partition}:apigateway:${f.region}::/restapis/${m[1]}`],
+            [/^\/backup\/home\?region=[a-z0-9-]+#\/backupvaults\/details\/([^/?#]+)$/, (m, f) => `arn:${f.partition}:backup:${f.region}:${f.account}:backup-vault:${m[1]}`],
+            [/^\/cloudfront\/v4\/home#\/distributions\/([^/?#]+)$/, (m, f) => `arn:${f.partition}:cloudfront::${f.account}:distribution/${m[1]}`],
+            [/^\/codesuite\/codebuild\/projects\/([^/?#]+)$/, (m, f) => `arn:${f.partition}:codebuild:${f.region}:${f.account}:project/${m[1]}`],
+            [/^\/codesuite\/settings\/([0-9]+)\/([a-z0-9-]+)\/(codeconnections|codestar-connections)\/connections\/([^/?#]+)$/, (m, f) => `arn:${f.partition}:${m[3]}:${m[2]}:${m[1]}:connection/${m[4]}`],
+            [/^\/codesuite\/codepipeline\/pipelines\/([^/?#]+)\/view\?region=[a-z0-9-]+$/, (m, f) => `arn:${f.partition}:codepipeline:${f.region}:${f.account}:${m[1]}`],
+            [/^\/dynamodbv2\/home\?region=[a-z0-9-]+#table\?name=([^&?#]+)$/, (m, f) => `arn:${f.partition}:dynamodb:${f.region}:${f.account}:table/${m[1]}`],
+            [/^\/ec2\/home\?region=[a-z0-9-]+#Addresses:v=3;search=:([^;?#]+)$/, (m, f) => `arn:${f.partition}:ec2:${f.region}:${f.account}:eip-allocation/${m[1]}`],
+            [/^\/ec2\/home\?region=[a-z0-9-]+#ImageDetails:imageId=([^;?#]+)$/, (m, f) => `arn:${f.partition}:ec2:${f.region}:${f.account}:image/${m[1]}`],
+            [/^\/ec2\/home\?region=[a-z0-9-]+#InstanceDetails:instanceId=([^;?#]+)$/, (m, f) => `arn:${f.partition}:ec2:${f.region}:${f.account}:instance/${m[1]}`],
+            [/^\/vpcconsole\/home\?region=[a-z0-9-]+#NatGatewayDetails:natGatewayId=([^;?#]+)$/, (m, f) => `arn:${f.partition}:ec2:${f.region}:${f.account}:natgateway/${m[1]}`],
+            [/^\/ec2\/home\?region=[a-z0-9-]+#LaunchTemplateDetails:launchTemplateId=([^;?#]+)$/, (m, f) => `arn:${f.partition}:ec2:${f.region}:${f.account}:launch-template/${m[1]}`],
+            [/^\/vpc\/home\?region=[a-z0-9-]+#SecurityGroup:groupId=([^;?#]+)$/, (m, f) => `arn:${f.partition}:ec2:${f.region}:${f.account}:security-group/${m[1]}`],
+            [/^\/ec2\/home\?region=[a-z0-9-]+#SnapshotDetails:snapshotId=([^;?#]+)$/, (m, f) => `arn:${f.partition}:ec2:${f.region}:${f.account}:snapshot/${m[1]}`],
+            [/^\/vpc\/home\?region=[a-z0-9-]+#SubnetDetails:subnetId=([^;?#]+)$/, (m, f) => `arn:${f.partition}:ec2:${f.region}:${f.account}:subnet/${m[1]}`],
+            [/^\/ec2\/home\?region=[a-z0-9-]+#VolumeDetails:volumeId=([^;?#]+)$/, (m, f) => `arn:${f.partition}:ec2:${f.region}:${f.account}:volume/${m[1]}`],
+            [/^\/vpc\/home\?region=[a-z0-9-]+#VpcDetails:VpcId=([^;?#]+)$/, (m, f) => `arn:${f.partition}:ec2:${f.region}:${f.account}:vpc/${m[1]}`],
+            [/^\/vpcconsole\/home\?region=[a-z0-9-]+#EndpointDetails:vpcEndpointId=([^;?#]+)$/, (m, f) => `arn:${f.partition}:ec2:${f.region}:${f.account}:vpc-endpoint/${m[1]}`],
+            [/^\/ecr\/repositories\/private\/([0-9]+)\/(.+)$/, (m, f) => `arn:${f.partition}:ecr:${f.region}:${m[1]}:repository/${m[2]}`],
+            [/^\/ecs\/v2\/clusters\/([^/?#]+)\?region=[a-z0-9-]+$/, (m, f) => `arn:${f.partition}:ecs:${f.region}:${f.account}:cluster/${m[1]}`],
+            [/^\/ecs\/v2\/clusters\/([^/?#]+)\/services\/([^/?#]+)\?region=[a-z0-9-]+$/, (m, f) => `arn:${f.partition}:ecs:${f.region}:${f.account}:service/${m[1]}/${m[2]}`],
+            [/^\/ecs\/v2\/clusters\/([^/?#]+)\/tasks\/([^/?#]+)\?region=[a-z0-9-]+$/, (m, f) => `arn:${f.partition}:ecs:${f.region}:${f.account}:task/${m[1]}/${m[2]}`],
+            [/^\/ecs\/v2\/task-definitions\/([^/?#]+)\/([0-9]*)\?region=[a-z0-9-]+$/, (m, f) => `arn:${f.partition}:ecs:${f.region}:${f.account}:task-definition/${m[1]}${m[2] ? ':' + m[2] : ''}`],
+            [/^\/eks\/home\?region=[a-z0-9-]+#\/clusters\/([^/?#]+)$/, (m, f) => `arn:${f.partition}:eks:${f.region}:${f.account}:cluster/${m[1]}`],
+            [/^\/ec2\/home\?region=[a-z0-9-]+#LoadBalancer:loadBalancerArn=(arn:.+)$/, (m, f) => m[1]],
+            [/^\/aos\/home\?region=[a-z0-9-]+#opensearch\/domains\/([^/?#]+)$/, (m, f) => `arn:${f.partition}:es:${f.region}:${f.account}:domain/${m[1]}`],
+            [/^\/firehose\/home\?region=[a-z0-9-]+#\/details\/([^/?#]+)\/monitoring$/, (m, f) => `arn:${f.partition}:firehose:${f.region}:${f.account}:deliverystream/${m[1]}`],
+            [/^\/gluestudio\/home\?region=[a-z0-9-]+#\/editor\/job\/([^/?#]+)\/script$/, (m, f) => `arn:${f.partition}:glue:${f.region}:${f.account}:job/${m[1]}`],
+            [/^\/iamv2\/home#\/groups\/details\/([^/?#]+)$/, (m, f) => `arn:${f.partition}:iam::${f.account}:group/${m[1]}`],
+            [/^\/iam\/home\?#\/(?:providers|policies)\/(arn:.+)$/, (m, f) => m[1]],
+            [/^\/iam\/home\?#\/roles\/([^/?#]+)$/, (m, f) => `arn:${f.partition}:iam::${f.account}:role/${m[1]}`],
+            [/^\/iam\/home\?#\/users\/([^/?#]+)$/, (m, f) => `arn:${f.partition}:iam::${f.account}:user/${m[1]}`],
+            [/^\/kinesis\/home\?region=[a-z0-9-]+#\/streams\/details\/([^/?#]+)\/details$/, (m, f) => `arn:${f.partition}:kinesis:${f.region}:${f.account}:stream/${m[1]}`],
+            [/^\/kms\/home\?region=[a-z0-9-]+#\/kms\/keys\/([^/?#]+)$/, (m, f) => `arn:${f.partition}:kms:${f.region}:${f.account}:key/${m[1]}`],
+            [/^\/lambda\/home\?region=[a-z0-9-]+#\/functions\/([^/?#]+)$/, (m, f) => `arn:${f.partition}:lambda:${f.region}:${f.account}:function:${m[1]}`],
+            [/^\/lambda\/home\?region=[a-z0-9-]+#\/layers\/([^/?#]+)\/versions\/([0-9]+)$/, (m, f) => `arn:${f.partition}:lambda:${f.region}:${f.account}:layer:${m[1]}:${m[2]}`],
+            [/^\/cloudwatch\/home\?region=[a-z0-9-]+#logsV2:log-groups\/log-group\/([^/?]+)$/, (m, f) => `arn:${f.partition}:logs:${f.region}:${f.account}:log-group:${m[1].replace(/\$252F/g, "/").replace(/\$2523/g, "#")}:*`],
+            [/^\/medialive\/home\?region=[a-z0-9-]+#\/channels\/([^/?#]+)$/, (m, f) => `arn:${f.partition}:medialive:${f.region}:${f.account}:channel:${m[1]}`],
+            [/^\/rds\/home\?region=[a-z0-9-]+#database:id=([^;?#]+);is-cluster=true$/, (m, f) => `arn:${f.partition}:rds:${f.region}:${f.account}:cluster:${m[1]}`],
+            [/^\/rds\/home\?region=[a-z0-9-]+#db-snapshot:id=([^;?#]+)$/, (m, f) => `arn:${f.partition}:rds:${f.region}:${f.account}:snapshot:${m[1]}`],
+            [/^\/rds\/home\?region=[a-z0-9-]+#database:id=([^;?#]+)$/, (m, f) => `arn:${f.partition}:rds:${f.region}:${f.account}:db:${m[1]}`],
+            [/^\/rds\/home\?region=[a-z0-9-]+#option-group-details:option-group-name=([^;?#]+)$/, (m, f) => `arn:${f.partition}:rds:${f.region}:${f.account}:og:${m[1]}`],
+            [/^\/rds\/home\?region=[a-z0-9-]+#db-subnet-group:id=([^;?#]+)$/, (m, f) => `arn:${f.partition}:rds:${f.region}:${f.account}:subgrp:${m[1]}`],
+            [/^\/route53\/home\?#resource-record-sets:([^/?#]+)$/, (m, f) => `arn:${f.partition}:route53:::hostedzone/${m[1]}`],
+            [/^\/route53\/trafficflow\/home#\/policy\/([^/?#]+)$/, (m, f) => `arn:${f.partition}:route53:::trafficpolicy/${m[1]}`],
+            [/^\/route53\/trafficflow\/home#\/modify-records\/edit\/([^/?#]+)$/, (m, f) => `arn:${f.partition}:route53:::trafficpolicyinstance/${m[1]}`],
+            [/^\/s3\/buckets\/([^/?#]+)(?:\?region=[a-z0-9-]+)?$/, (m, f) => `arn:${f.partition}:s3:::${m[1]}`],
+            [/^\/sns\/v3\/home\?region=[a-z0-9-]+#\/topic\/(arn:.+)$/, (m, f) => m[1]],
+            [/^\/sqs\/v2\/home\?region=[a-z0-9-]+#\/queues\/https%3A%2F%2Fsqs\.([a-z0-9-]+)\.amazonaws\.com%2F([0-9]+)%2F(.+)$/, (m, f) => `arn:${f.partition}:sqs:${m[1]}:${m[2]}:${m[3]}`],
+            [/^\/states\/home\?region=[a-z0-9-]+#\/(?:v2\/executions\/details|statemachines\/view)\/(arn:.+)$/, (m, f) => m[1]],
+            [/^\/wafv2\/homev2\/web-acl\/([^/?#]+)\/([^/?#]+)\/overview\?region=global$/, (m, f) => `arn:${f.partition}:wafv2:us-east-1:${f.account}:global/webacl/${m[1]}/${m[2]}`],
+            [/^\/wafv2\/homev2\/web-acl\/([^/?#]+)\/([^/?#]+)\/overview\?region=[a-z0-9-]+$/, (m, f) => `arn:${f.partition}:wafv2:${f.region}:${f.account}:regional/webacl/${m[1]}/${m[2]}`],
+        ];
+    }
 }
 
-// Running as command line script? (not in browser, and not as library)
-/* istanbul ignore if */
-if (typeof (require) !== 'undefined' && require.main === module) {
-    for (let i = 2; i < process.argv.length; i++) {
-        try {
-            console.log(new ARN(process.argv[i]).consoleLink);
-        } catch (e) {
-            console.error(e);
+ARN._cache = new Map();
+
+// Custom console link templates, e.g. for resource types we have no link
+// for, or to point to your own dashboards. Templates registered here take
+// precedence over the built-in ones, but only for ARNs constructed with this
+// registry (new ARN(text, {templates: registry}) or registry.parse(text)),
+// so that different users of link2aws in the same process don't interfere.
+class TemplateRegistry {
+    constructor() {
+        this._services = {};
+        // merged template tables, by the table they were merged into
+        this._merged = new WeakMap();
+    }
+
+    // Register template `fn(arn)` for a resource type. `fn` returns the link,
+    // or null if it has no link for this particular resource. Registering
+    // null disables the built-in template. Use resource type "" for ARNs
+    // without resource type (e.g. S3 buckets).
+    registerTemplate(service, resourceType, fn) {
+        if (typeof (service) != 'string' || typeof (resourceType) != 'string') {
+            throw Error("Service and resource type must be strings");
+        }
+        if (typeof (fn) != 'function' && fn !== null) {
+            throw Error("Template must be a function or null");
+        }
+        if (!Object.prototype.hasOwnProperty.call(this._services, service)) {
+            this._services[service] = {};
         }
+        this._services[service][resourceType] = fn;
+        this._merged = new WeakMap();
+        return this;
+    }
+
+    // Register many templates at once: {service: {resourceType: fn, ...}, ...}
+    registerTemplates(templates) {
+        for (const [service, resourceTypes] of Object.entries(templates)) {
+            for (const [resourceType, fn] of Object.entries(resourceTypes)) {
+                this.registerTemplate(service, resourceType, fn);
+            }
+        }
+        return this;
+    }
+
+    // Remove a template registered here; the built-in one (if any) applies again.
+    unregisterTemplate(service, resourceType) {
+        if (Object.prototype.hasOwnProperty.call(this._services, service)) {
+            delete this._services[service][resourceType];
+            if (Object.keys(this._services[service]).length == 0) {
+                delete this._services[service];
+            }
+            this._merged = new WeakMap();
+        }
+        return this;
+    }
+
+    parse(text) {
+        return new ARN(text, { templates: this });
+    }
+
+    // Merge into a template table, overriding its entries. The result is
+    // shared by all ARNs of the table until templates are (un)registered.
+    _apply(linkTemplates) {
+        if (!this._merged.has(linkTemplates)) {
+            var merged = Object.assign({}, linkTemplates);
+            for (const [service, resourceTypes] of Object.entries(this._services)) {
+                merged[service] = Object.assign({}, linkTemplates[service], resourceTypes);
+            }
+            this._merged.set(linkTemplates, merged);
+        }
+        return this._merged.get(linkTemplates);
+    }
+}
+
+// Friendly names for account IDs, for people who don't know them by heart.
+// Pass as options.accounts to the ARN constructor (and everything else that
+// takes its options).
+class AccountDirectory {
+    // accounts: {accountId: name} or {accountId: {name, environment, team}},
+    // e.g. parsed from a JSON file.
+    constructor(accounts) {
+        this._accounts = {};
+        if (accounts) {
+            this.addAccounts(accounts);
+        }
+    }
+
+    static fromJSON(text) {
+        return new AccountDirectory(JSON.parse(text));
+    }
+
+    // environment and team are optional.
+    addAccount(id, info) {
+        if (!/^[0-9]{12}$/.test(id)) {
+            throw Error(`Bad account ID: ${id}`);
+        }
+        if (typeof (info) == 'string') {
+            info = { name: info };
+        }
+        if (!info || typeof (info.name) != 'string' || !info.name) {
+            throw Error(`Account ${id} must have a name`);
+        }
+        this._accounts[id] = {
+            id: id,
+            name: info.name,
+            environment: typeof (info.environment) == 'string' ? info.environment : null,
+            team: typeof (info.team) == 'string' ? info.team : null,
+        };
+        return this;
+    }
+
+    addAccounts(accounts) {
+        if (typeof (accounts) != 'object' || Array.isArray(accounts)) {
+            throw Error("Accounts must be an object {accountId: name or {name, environment, team}}");
+        }
+        for (const [id, info] of Object.entries(accounts)) {
+            this.addAccount(id, info);
+        }
+        return this;
+    }
+
+    // {id, name, environment, team}, or null if the account is unknown.
+    lookup(id) {
+        return Object.prototype.hasOwnProperty.call(this._accounts, id) ? Object.assign({}, this._accounts[id]) : null;
+    }
+
+    // "prod-payments (123456789012)", or the ID itself if it is unknown.
+    label(id) {
+        var account = this.lookup(id);
+        return account ? `${account.name} (${id})` : id;
+    }
+
+    get size() {
+        return Object.keys(this._accounts).length;
+    }
+
+    // Same format as the constructor takes.
+    toJSON() {
+        var accounts = {};
+        for (const [id, account] of Object.entries(this._accounts)) {
+            accounts[id] = { name: account.name };
+            for (const field of ['environment', 'team']) {
+                if (account[field] !== null) {
+                    accounts[id][field] = account[field];
+                }
+            }
+        }
+        return accounts;
     }
 }
 
-exports.ARN = ARN;
\ No newline at end of file
+exports.ARN = ARN;
+exports.TemplateRegistry = TemplateRegistry;
+exports.AccountDirectory = AccountDirectory;
+exports.ARNError = ARNError;
+exports.InvalidARNError = InvalidARNError;
+exports.UnsupportedPartitionError = UnsupportedPartitionError;
+exports.UnknownServiceError = UnknownServiceError;
+exports.UnknownResourceTypeError = UnknownResourceTypeError;
+exports.UnlinkedResourceTypeError = UnlinkedResourceTypeError;
+exports.UnavailableInPartitionError = UnavailableInPartitionError;
+exports.InvalidResourceError = InvalidResourceError;
+exports.InvalidConsoleLinkError = InvalidConsoleLinkError;
+
+// Running as command line script? (not in browser, and not as library)
+/* istanbul ignore if */
+if (typeof (require) !== 'undefined' && require.main === module) {
+    require('./cli.js').run();
+}
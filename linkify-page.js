@@ -0,0 +1,135 @@
+// Turns ARNs on a web page into console links, for the bookmarklet and the
+// userscript (see build.js). Works on the page's DOM only: nothing is sent
+// anywhere.
+const ARN = require('./link2aws.js').ARN;
+
+// Text that is left alone: form fields, code editors, scripts, and links
+// (including the ones we insert).
+const skipSelector = [
+    'a', 'input', 'textarea', 'select', 'option', 'button', 'script', 'style', 'noscript', 'template',
+    '[contenteditable=""]', '[contenteditable="true"]', '[contenteditable="plaintext-only"]',
+    '.CodeMirror', '.cm-editor', '.monaco-editor', '.ace_editor',
+].join(', ');
+
+// Attribute of the links we insert, and of <html> once the page is observed.
+const marker = 'data-link2aws';
+
+// Text nodes that were already looked at (and had no linkable ARN).
+const processed = new WeakSet();
+
+function skip(textNode) {
+    var parent = textNode.parentElement;
+    return !parent || processed.has(textNode) || parent.closest(skipSelector) !== null;
+}
+
+// Link every ARN with a console link in the text nodes under `root` (an
+// element or a text node). `options` are passed to ARN.extractAll, e.g.
+// {sso: ...}. Returns the number of links inserted.
+function linkifyNode(root, options) {
+    var document = root.ownerDocument || root;
+    var window = document.defaultView;
+    var textNodes = [];
+    if (root.nodeType == window.Node.TEXT_NODE) {
+        textNodes.push(root);
+    } else {
+        // Collect first: replacing nodes while walking confuses the walker.
+        var walker = document.createTreeWalker(root, window.NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+    }
+
+    var count = 0;
+    for (const textNode of textNodes) {
+        if (skip(textNode) || !/arn(:|%3a)/i.test(textNode.data)) {
+            continue;
+        }
+        count += linkifyTextNode(textNode, options);
+    }
+    return count;
+}
+
+function linkifyTextNode(textNode, options) {
+    var document = textNode.ownerDocument;
+    var text = textNode.data;
+    var fragment = document.createDocumentFragment();
+    var last = 0;
+    var count = 0;
+
+    for (const found of ARN.extractAll(text, options)) {
+        // part of a URL, e.g. a console link that contains the ARN
+        var before = text.slice(0, found.start);
+        var word = before.slice(Math.max(before.lastIndexOf(' '), before.lastIndexOf('\t'), before.lastIndexOf('\n')) + 1);
+        if (!found.hasConsoleLink || word.includes('://')) {
+            continue;
+        }
+
+        var a = document.createElement('a');
+        a.setAttribute('href', found.consoleLink);
+        a.setAttribute('target', '_blank');
+        a.setAttribute('rel', 'noopener noreferrer');
+        a.setAttribute(marker, '');
+        if (found.arn.accountInfo) {
+            a.setAttribute('title', found.arn.accountLabel);
+        }
+        a.textContent = found.text;
+
+        fragment.appendChild(leftover(document, text.slice(last, found.start)));
+        fragment.appendChild(a);
+        last = found.end;
+        count++;
+    }
+
+    if (count == 0) {
+        processed.add(textNode);
+        return 0;
+    }
+    fragment.appendChild(leftover(document, text.slice(last)));
+    textNode.parentNode.replaceChild(fragment, textNode);
+    return count;
+}
+
+// Text between links; it has no linkable ARN, so it isn't looked at again.
+function leftover(document, text) {
+    var node = document.createTextNode(text);
+    processed.add(node);
+    return node;
+}
+
+// Keep linking ARNs in content that is added or changed later (single page
+// apps, infinite scrolling, log viewers). Returns the MutationObserver.
+function observe(root, options) {
+    var window = (root.ownerDocument || root).defaultView;
+    var observer = new window.MutationObserver(mutations => {
+        for (const mutation of mutations) {
+            if (mutation.type == 'characterData') {
+                processed.delete(mutation.target);
+                linkifyNode(mutation.target, options);
+            }
+            for (const node of mutation.addedNodes) {
+                if (node.isConnected) {
+                    linkifyNode(node, options);
+                }
+            }
+        }
+    });
+    observer.observe(root, { childList: true, subtree: true, characterData: true });
+    return observer;
+}
+
+// Entry point of the bookmarklet and userscript: link the page, and keep
+// linking it. Running it again on the same page only links what's new.
+// Returns {links, observer} (observer is null if the page already has one).
+function run(document, options) {
+    var links = linkifyNode(document.body, options);
+    var observer = null;
+    if (!document.documentElement.hasAttribute(marker)) {
+        document.documentElement.setAttribute(marker, '');
+        observer = observe(document.body, options);
+    }
+    return { links: links, observer: observer };
+}
+
+exports.linkifyNode = linkifyNode;
+exports.observe = observe;
+exports.run = run;
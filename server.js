@@ -0,0 +1,209 @@
+// HTTP server for "link2aws serve": short links that redirect to the
+// console, and a JSON API. Uses Node's http module only.
+//
+// GET /<arn>               302 to the console link
+// GET /api/link?arn=<arn>  {ok: true, link} or {ok: false, error: {code, message}}
+// POST /api/links          {"arns": [...]} -> {"results": [{arn, ok, link}, ...]}
+// GET /health              {"status": "ok", "version": ...}
+// POST /chat/slack, POST /chat/mattermost: slash commands (see chat.js),
+// with options.slack.signingSecret or options.mattermost.token
+// and with options.static, the website (index.html etc.) at "/".
+//
+// Errors get 400 (not an ARN), 404 (unknown service) or 422 (valid ARN
+// without console link).
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const ARN = require('./link2aws.js').ARN;
+const chat = require('./chat.js');
+
+// Files of the website, for options.static
+const staticFiles = {
+    '/index.html': 'text/html; charset=utf-8',
+    '/index.css': 'text/css; charset=utf-8',
+    '/link2aws.js': 'text/javascript; charset=utf-8',
+    '/coverage.html': 'text/html; charset=utf-8',
+    '/screenshot.png': 'image/png',
+};
+
+// Largest request body of POST /api/links
+const maxBody = 1024 * 1024;
+
+function statusFor(error) {
+    switch (error.code) {
+        case 'INVALID_ARN':
+            return 400;
+        case 'UNKNOWN_SERVICE':
+            return 404;
+        default:
+            return 422;
+    }
+}
+
+// Library result ({ok, link} or {ok, error}) as JSON-friendly object.
+function linkResult(text, options) {
+    var parsed = ARN.tryParse(text, options);
+    var result = parsed.ok ? parsed.arn.tryConsoleLink(options) : parsed;
+    if (result.ok) {
+        return { ok: true, link: result.link };
+    }
+    var error = { code: result.error.code, message: result.error.message };
+    if (result.error.suggestions) {
+        error.suggestions = result.error.suggestions;
+    }
+    return { ok: false, error: error };
+}
+
+function send(res, status, type, body, headers) {
+    res.writeHead(status, Object.assign({ 'Content-Type': type, 'Content-Length': Buffer.byteLength(body) }, headers));
+    res.end(body);
+}
+
+function sendJson(res, status, value) {
+    send(res, status, 'application/json; charset=utf-8', JSON.stringify(value) + '\n');
+}
+
+function sendError(res, status, message) {
+    sendJson(res, status, { ok: false, error: { code: 'BAD_REQUEST', message: message } });
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        var chunks = [];
+        var size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            // Too large: answer right away, and drop the rest
+            if (size > maxBody) {
+                chunks = [];
+                reject(Object.assign(Error(`Request body larger than ${maxBody} bytes`), { status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+        req.on('error', reject);
+    });
+}
+
+// POST /chat/slack, POST /chat/mattermost
+async function slashCommand(req, res, options, handle) {
+    var body;
+    try {
+        body = await readBody(req);
+    } catch (e) {
+        res.setHeader('Connection', 'close');
+        return sendError(res, e.status || 400, e.message);
+    }
+    var reply = handle(req.headers, body, options);
+    sendJson(res, reply.status, reply.body);
+}
+
+// POST /api/links
+async function links(req, res, options) {
+    var request;
+    try {
+        request = JSON.parse(await readBody(req));
+    } catch (e) {
+        if (e.status) {
+            res.setHeader('Connection', 'close');
+            return sendError(res, e.status, e.message);
+        }
+        return sendError(res, 400, `Bad JSON: ${e.message}`);
+    }
+    if (!request || !Array.isArray(request.arns) || !request.arns.every(arn => typeof (arn) == 'string')) {
+        return sendError(res, 400, 'Expected {"arns": [...]}');
+    }
+    sendJson(res, 200, { results: request.arns.map(arn => Object.assign({ arn: arn }, linkResult(arn, options))) });
+}
+
+function serveStatic(res, pathname, options) {
+    var file = pathname == '/' ? '/index.html' : pathname;
+    fs.readFile(path.join(options.static, file), (e, data) => {
+        if (e) {
+            return send(res, 404, 'text/plain; charset=utf-8', 'Not found\n');
+        }
+        res.writeHead(200, { 'Content-Type': staticFiles[file], 'Content-Length': data.length });
+        res.end(data);
+    });
+}
+
+// The request handler, for http.createServer. options: like the ARN
+// constructor and getConsoleLink (templates, sso, defaultRegion, ...), and
+// options.static: directory of the website to serve, or undefined.
+function handler(options) {
+    options = options || {};
+    var version = require('./package.json').version;
+
+    return (req, res) => {
+        var url = new URL(req.url, 'http://localhost');
+        var pathname = url.pathname;
+
+        if (pathname == '/api/links') {
+            if (req.method != 'POST') {
+                return send(res, 405, 'text/plain; charset=utf-8', 'Method not allowed\n', { 'Allow': 'POST' });
+            }
+            links(req, res, options).catch(e => sendError(res, 500, e.message));
+            return;
+        }
+
+        var chatHandler = {
+            '/chat/slack': options.slack && options.slack.signingSecret ? chat.handleSlack : null,
+            '/chat/mattermost': options.mattermost && options.mattermost.token ? chat.handleMattermost : null,
+        }[pathname];
+        if (chatHandler) {
+            if (req.method != 'POST') {
+                return send(res, 405, 'text/plain; charset=utf-8', 'Method not allowed\n', { 'Allow': 'POST' });
+            }
+            slashCommand(req, res, options, chatHandler).catch(e => sendError(res, 500, e.message));
+            return;
+        }
+        if (chatHandler === null) {
+            return send(res, 404, 'text/plain; charset=utf-8', 'Slash commands are not configured (see link2aws --help)\n');
+        }
+
+        if (req.method != 'GET' && req.method != 'HEAD') {
+            return send(res, 405, 'text/plain; charset=utf-8', 'Method not allowed\n', { 'Allow': 'GET, HEAD' });
+        }
+
+        if (pathname == '/health') {
+            return sendJson(res, 200, { status: 'ok', version: version });
+        }
+
+        if (pathname == '/api/link') {
+            var arn = url.searchParams.get('arn');
+            if (arn === null) {
+                return sendError(res, 400, 'Missing query parameter arn');
+            }
+            const result = linkResult(arn, options);
+            return sendJson(res, result.ok ? 200 : statusFor(result.error), result);
+        }
+
+        if (options.static && (pathname == '/' || Object.prototype.hasOwnProperty.call(staticFiles, pathname))) {
+            return serveStatic(res, pathname, options);
+        }
+
+        // /<arn>, like https://link2aws.github.io/#<arn>
+        var text;
+        try {
+            text = decodeURIComponent(pathname.slice(1));
+        } catch (e) {
+            return send(res, 400, 'text/plain; charset=utf-8', 'Bad URL encoding\n');
+        }
+        if (!text.startsWith('arn:')) {
+            return send(res, 404, 'text/plain; charset=utf-8', 'Not found. Use /<arn>, /api/link?arn=<arn> or POST /api/links.\n');
+        }
+        const result = linkResult(text, options);
+        if (!result.ok) {
+            return send(res, statusFor(result.error), 'text/plain; charset=utf-8', `${result.error.message}\n`);
+        }
+        send(res, 302, 'text/plain; charset=utf-8', `${result.link}\n`, { 'Location': result.link });
+    };
+}
+
+function createServer(options) {
+    return http.createServer(handler(options));
+}
+
+exports.handler = handler;
+exports.createServer = createServer;
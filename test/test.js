@@ -1,10 +1,38 @@
 var assert = require('assert');
+var events = require('events');
+var fs = require('fs');
+var stream = require('stream');
 var main = require('../link2aws.js');
+var cli = require('../cli.js');
+var linkifyPage = require('../linkify-page.js');
+var build = require('../build.js');
+var server = require('../server.js');
+var chat = require('../chat.js');
+var cloudtrail = require('../cloudtrail.js');
+var http = require('http');
+var os = require('os');
+var path = require('path');
+var zlib = require('zlib');
+var { JSDOM } = require('jsdom');
 
 var awsTests = require('../testcases/aws.json');
 var awsNegativeTests = require('../testcases/aws-negative.json');
 var stringTests = require('../testcases/string.json');
 
+// Run the CLI with `stdin` as input, returns {code, out, err}.
+async function run(argv, stdin, io) {
+    var out = '';
+    var err = '';
+    io = Object.assign({
+        stdin: stream.Readable.from(stdin ? [stdin] : []),
+        stdout: { write: text => { out += text; } },
+        stderr: { write: text => { err += text; } },
+        env: {},
+    }, io);
+    var code = await cli.main(argv, io);
+    return { code: code, out: out, err: err };
+}
+
 describe('main.ARN', function () {
     describe('#constructor(text)', function () {
         it('should reject invalid inputs by throwing', function () {
@@ -83,19 +111,175 @@ describe('main.ARN', function () {
         });
     });
 
+    describe('#params and #violations', function () {
+        it('should name the components of the resource', function () {
+            var arn = new main.ARN('arn:aws:eks:us-east-1:123456789012:nodegroup/test-cluster/test-workers/a2c51527-da50-031f-1130-c5d5d77be06c');
+            assert.equal(arn.schema, 'arn:${Partition}:eks:${Region}:${Account}:nodegroup/${ClusterName}/${NodegroupName}/${UUID}');
+            assert.deepEqual(arn.params, {
+                Partition: 'aws',
+                Region: 'us-east-1',
+                Account: '123456789012',
+                ClusterName: 'test-cluster',
+                NodegroupName: 'test-workers',
+                UUID: 'a2c51527-da50-031f-1130-c5d5d77be06c',
+            });
+            assert.deepEqual(arn.violations, []);
+        });
+
+        it('should handle optional components', function () {
+            assert.equal(new main.ARN('arn:aws:lambda:us-west-1:123456789012:function:my-lambda:prod').params.Qualifier, 'prod');
+            assert.equal(new main.ARN('arn:aws:lambda:us-west-1:123456789012:function:my-lambda').params.Qualifier, undefined);
+            assert.equal(new main.ARN('arn:aws:logs:us-east-2:123456789012:log-group:/aws/lambda/dev-hello:*').params.LogGroupName, '/aws/lambda/dev-hello');
+            assert.equal(new main.ARN('arn:aws:logs:us-east-2:123456789012:log-group:/aws/lambda/dev-hello').params.LogGroupName, '/aws/lambda/dev-hello');
+            assert.equal(new main.ARN('arn:aws:amplify:sa-east-1:384862141196:apps/aaaaaaaaa').params.AppId, 'aaaaaaaaa');
+        });
+
+        it('should match every testcase with its schema', function () {
+            for (const testcase of Object.keys(awsTests)) {
+                var arn = new main.ARN(testcase);
+                assert.notEqual(arn.schema, null, testcase);
+                assert.deepEqual(arn.violations.filter(violation => violation.field == 'resource'), [], testcase);
+            }
+        });
+
+        it('should report violations', function () {
+            var codes = (text) => new main.ARN(text).violations.map(violation => `${violation.field}:${violation.code}`);
+            assert.deepEqual(codes('arn:aws:eks:us-east-1:123456789012:nodegroup/test-cluster'), ['resource:MISSING_SEGMENT']);
+            assert.deepEqual(codes('arn:aws:iam:us-east-1:123456789012:user/test'), ['region:UNEXPECTED_REGION']);
+            assert.deepEqual(codes('arn:aws:ec2::123456789012:instance/1234'), ['region:MISSING_REGION']);
+            assert.deepEqual(codes('arn:aws:ec2:useast1:123456789012:instance/1234'), ['region:BAD_REGION']);
+        });
+
+        it('should report bad accounts, but accept AWS managed resources', function () {
+            var codes = (text) => new main.ARN(text).violations.map(violation => `${violation.field}:${violation.code}`);
+            assert.deepEqual(codes('arn:aws:elasticloadbalancing:us-east-1:1234:loadbalancer/net/k8s-devops-ingressn-5a6b7c/8d9e0f'), ['account:BAD_ACCOUNT']);
+            assert.deepEqual(codes('arn:aws:ec2:us-east-1::instance/1234'), ['account:MISSING_ACCOUNT']);
+            assert.deepEqual(codes('arn:aws:s3::123456789012:abcdefgh1234'), ['account:UNEXPECTED_ACCOUNT']);
+            assert.deepEqual(codes('arn:aws:iam::aws:policy/AdministratorAccess'), []);
+        });
+
+        it('should have a schema for every resource type with link', function () {
+            var schemas = main.ARN._getSchemas();
+            for (const service of main.ARN.supportMatrix()) {
+                for (const resourceType of service.resourceTypes.filter(x => x.supported)) {
+                    assert.ok(schemas[service.service] && schemas[service.service][resourceType.resourceType], `${service.service} ${resourceType.resourceType}`);
+                }
+            }
+        });
+
+        it('should have no schema for resource types without link', function () {
+            var arn = new main.ARN('arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/1234');
+            assert.equal(arn.schema, null);
+            assert.deepEqual(arn.params, {});
+            assert.deepEqual(arn.violations, []);
+        });
+
+        it('should refuse to link resources that don\'t match the schema', function () {
+            assert.throws(() => { new main.ARN('arn:aws:eks:us-east-1:123456789012:nodegroup/test-cluster').consoleLink }, main.InvalidResourceError);
+            assert.throws(() => { new main.ARN('arn:aws:ecs:us-east-1:123456789012:service/myservice').consoleLink }, main.InvalidResourceError);
+        });
+    });
+
     describe('#string', function() {
         var roundtripTests = [
             'arn:partition:service:region:account-id:resource-id',
             'arn:partition:service:region:account-id:resource-type/resource-id',
             'arn:partition:service:region:account-id:resource-type:resource-id',
+            'arn:partition:service:region:account-id:/resource-type/resource-id',
+            'arn:partition:service:region:account-id:resource-type:resource-id-qualifier-1:qualifier-2',
+            'arn:partition:service:region:account-id:resource-type/resource-id:revision',
+            'arn:partition:service:region:account-id:resource-type/resource-id:',
+            'arn:partition:service:region:account-id:/resource-type/resource-id:revision',
+            'arn:partition:service:region:account-id::resource-id',
+            'arn:partition:service:region:account-id://resource-id',
+            'arn:partition:service:region:account-id:resource-type:',
+            'arn:partition:service:region:account-id:/resource-id',
+            'arn:partition:service:::',
         ]
         for (const testcase of roundtripTests) {
-            it('should round-trip "arn:partition:service:region:account-id:resource-id"', () => {
+            it(`should round-trip "${testcase}"`, () => {
                 assert.equal(new main.ARN(testcase).string, testcase);
             })
         }
+
+        it('should round-trip all testcases', () => {
+            for (const testcase of Object.keys(awsTests).concat(Object.keys(awsNegativeTests), Object.keys(stringTests))) {
+                var parsed = main.ARN.tryParse(testcase);
+                if (parsed.ok) {
+                    assert.equal(parsed.arn.string, testcase.trim());
+                    assert.equal(new main.ARN(parsed.arn.string).string, parsed.arn.string);
+                }
+            }
+        })
     })
 
+    describe('#components', function () {
+        it('should list the components as parsed', function () {
+            assert.deepEqual(new main.ARN('arn:aws:ecs:us-east-1:123456789012:task-definition/family:3').components.filter(([name]) => name != 'separator'), [
+                ['prefix', 'arn'], ['partition', 'aws'], ['service', 'ecs'], ['region', 'us-east-1'], ['account', '123456789012'],
+                ['resourceType', 'task-definition'], ['resource', 'family'], ['revision', '3'],
+            ]);
+            assert.deepEqual(new main.ARN('arn:aws:s3:::abcdefgh1234').components.slice(-2), [['separator', ':'], ['resource', 'abcdefgh1234']]);
+        });
+
+        it('should add up to the ARN', function () {
+            for (const testcase of Object.keys(awsTests).concat(Object.keys(stringTests))) {
+                var parsed = main.ARN.tryParse(testcase);
+                if (parsed.ok) {
+                    assert.equal(parsed.arn.components.map(([, text]) => text).join(''), parsed.arn.string);
+                }
+            }
+        });
+    });
+
+    describe('.from(fields)', function () {
+        it('should build ARNs of every shape', function () {
+            assert.equal(main.ARN.from({ service: 's3', resource: 'abcdefgh1234' }).string, 'arn:aws:s3:::abcdefgh1234');
+            assert.equal(main.ARN.from({ service: 'iam', account: '123456789012', resourceType: 'user', resource: 'test' }).string, 'arn:aws:iam::123456789012:user/test');
+            assert.equal(main.ARN.from({ service: 'lambda', region: 'us-east-1', account: '123456789012', resourceType: 'function', separator: ':', resource: 'f' }).string,
+                'arn:aws:lambda:us-east-1:123456789012:function:f');
+            assert.equal(main.ARN.from({ partition: 'aws-cn', service: 'ecs', region: 'cn-north-1', account: '123456789012', resourceType: 'task-definition', resource: 'family', revision: 3 }).string,
+                'arn:aws-cn:ecs:cn-north-1:123456789012:task-definition/family:3');
+            assert.equal(main.ARN.from({ service: 'apigateway', region: 'us-east-1', resource: '/restapis/abc' }).string, 'arn:aws:apigateway:us-east-1::/restapis/abc');
+        });
+
+        it('should parse the built ARN', function () {
+            var arn = main.ARN.from({ service: 'iam', account: '123456789012', resourceType: 'user', resource: 'test' });
+            assert.equal(arn.resource_type, 'user');
+            assert.equal(arn.consoleLink, 'https://console.aws.amazon.com/iam/home?#/users/test');
+        });
+
+        it('should refuse fields that would shift other fields', function () {
+            assert.throws(() => { main.ARN.from({ service: 'iam', account: '1234:5678', resource: 'x' }) }, main.InvalidARNError);
+            assert.throws(() => { main.ARN.from({ service: '', resource: 'x' }) }, main.InvalidARNError);
+            assert.throws(() => { main.ARN.from({ service: 'iam', region: 'US EAST', resource: 'x' }) }, main.InvalidARNError);
+            assert.throws(() => { main.ARN.from({ service: 'iam', resourceType: 'user', separator: '.', resource: 'x' }) }, main.InvalidARNError);
+        });
+    });
+
+    describe('#with*()', function () {
+        var arn = new main.ARN('arn:aws:apigateway:us-east-1::/restapis/abc');
+
+        it('should return modified copies', function () {
+            assert.equal(arn.withRegion('eu-west-1').string, 'arn:aws:apigateway:eu-west-1::/restapis/abc');
+            assert.equal(arn.withPartition('aws-cn').string, 'arn:aws-cn:apigateway:us-east-1::/restapis/abc');
+            assert.equal(new main.ARN('arn:aws:iam::123456789012:user/test').withAccount('210987654321').string, 'arn:aws:iam::210987654321:user/test');
+            assert.equal(new main.ARN('arn:aws:ecs:us-east-1:123456789012:task-definition/family:3').withResource('other').string, 'arn:aws:ecs:us-east-1:123456789012:task-definition/other:3');
+            assert.equal(arn.string, 'arn:aws:apigateway:us-east-1::/restapis/abc');
+        });
+
+        it('should keep the templates', function () {
+            var registry = new main.TemplateRegistry().registerTemplate('iam', 'user', (arn) => `https://example.com/${arn.account}`);
+            assert.equal(registry.parse('arn:aws:iam::123456789012:user/test').withAccount('210987654321').consoleLink, 'https://example.com/210987654321');
+        });
+
+        it('should validate', function () {
+            assert.throws(() => { arn.withRegion('a:b') }, main.InvalidARNError);
+            assert.throws(() => { arn.withRegion('EU') }, main.InvalidARNError);
+            assert.throws(() => { arn.withAccount(null) }, main.InvalidARNError);
+        });
+    });
+
     describe('#consoleLink', function () {
         for (const [testcase, expected] of Object.entries(awsTests)) {
             it(`should generate link for: "${testcase}"`, () => {
@@ -113,4 +297,1510 @@ describe('main.ARN', function () {
             })
         }
     });
-});
\ No newline at end of file
+
+    describe('errors', function () {
+        function error(text) {
+            try {
+                new main.ARN(text).consoleLink;
+            } catch (e) {
+                return e;
+            }
+            assert.fail(`no error for ${text}`);
+        }
+
+        it('should throw typed errors with stable codes', function () {
+            var cases = [
+                ['foo', main.InvalidARNError, 'INVALID_ARN'],
+                ["arn:aws-us-gov:iam::123456789012:user''''''test", main.InvalidARNError, 'INVALID_ARN'],
+                ['arn-UNSUPPORTED:aws:iam::123456789012:user/test', main.InvalidARNError, 'INVALID_ARN'],
+                ['arn:aws-UNSUPPORTED:iam::123456789012:user/test', main.UnsupportedPartitionError, 'UNSUPPORTED_PARTITION'],
+                ['arn:aws:UNSUPPORTED::123456789012:user/test', main.UnknownServiceError, 'UNKNOWN_SERVICE'],
+                ['arn:aws:iam::123456789012:UNSUPPORTED/test', main.UnknownResourceTypeError, 'UNKNOWN_RESOURCE_TYPE'],
+                ['arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/1234', main.UnlinkedResourceTypeError, 'RESOURCE_TYPE_NOT_LINKED'],
+                ['arn:aws:secretsmanager:us-west-2:123456789012:secret:MySecret', main.InvalidResourceError, 'INVALID_RESOURCE'],
+            ];
+            for (const [text, cls, code] of cases) {
+                var e = error(text);
+                assert.ok(e instanceof cls, `${text}: ${e.name}`);
+                assert.ok(e instanceof main.ARNError);
+                assert.ok(e instanceof Error);
+                assert.equal(e.code, code);
+            }
+            assert.throws(() => { new main.ARN(null) }, main.InvalidARNError);
+            assert.throws(() => { main.ARN.fromConsoleLink('https://example.com/') }, main.InvalidConsoleLinkError);
+        });
+
+        it('should suggest similar services and resource types', function () {
+            assert.deepEqual(error('arn:aws:autoscaling:us-east-1:123456789012:autoscalinggroup:x').suggestions, ['autoScalingGroup']);
+            assert.deepEqual(error('arn:aws:lamda:us-east-1:123456789012:function:my-lambda').suggestions, ['lambda']);
+            assert.ok(error('arn:aws:lamda:us-east-1:123456789012:function:my-lambda').message.includes('did you mean lambda?'));
+            assert.deepEqual(error('arn:aws:iam::123456789012:UNSUPPORTED/test').suggestions, []);
+        });
+
+        it('should only look for suggestions when they are read', function () {
+            var suggest = main.ARN._suggest;
+            var calls = 0;
+            main.ARN._suggest = function () {
+                calls++;
+                return suggest.apply(this, arguments);
+            };
+            try {
+                var e = error('arn:aws:lamda:us-east-1:123456789012:function:my-lambda');
+                assert.equal(calls, 0);
+                assert.equal(e.message, 'AWS service lamda unknown (did you mean lambda?)');
+                assert.deepEqual(e.suggestions, ['lambda']);
+                assert.equal(calls, 1);
+            } finally {
+                main.ARN._suggest = suggest;
+            }
+            assert.deepEqual(new main.UnknownServiceError('lamda', ['lambda']).suggestions, ['lambda']);
+            assert.equal(new main.UnknownResourceTypeError('lambda', 'functio', ['function']).message, 'AWS service lambda resource type functio not supported (did you mean function?)');
+        });
+
+        it('should point at the offending character', function () {
+            var e = error("arn:aws-us-gov:iam::123456789012:user''''''test");
+            assert.equal(e.message, 'ARN contains invalid character "\'" at position 37');
+            assert.equal(e.position, 37);
+            assert.equal(error('  arn:aws:s3:::my bucket').position, 15);
+            assert.equal(error('arn:aws:ec2:us-East-1:123456789012:instance/i-1').position, 15);
+            assert.equal(error('arn:aws:s3').message, 'Bad number of tokens: expected arn:partition:service:region:account:resource, got 3 parts');
+            assert.equal(error('arn:aws:s3').position, undefined);
+        });
+    });
+
+    describe('.tryParse(text) and #tryConsoleLink()', function () {
+        it('should return results instead of throwing', function () {
+            var parsed = main.ARN.tryParse('arn:aws:s3:::abcdefgh1234');
+            assert.equal(parsed.ok, true);
+            assert.deepEqual(parsed.arn.tryConsoleLink(), { ok: true, link: 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234' });
+
+            parsed = main.ARN.tryParse('foo');
+            assert.equal(parsed.ok, false);
+            assert.equal(parsed.error.code, 'INVALID_ARN');
+
+            var result = main.ARN.tryParse('arn:aws:lamda:us-east-1:123456789012:function:my-lambda').arn.tryConsoleLink();
+            assert.equal(result.ok, false);
+            assert.equal(result.error.code, 'UNKNOWN_SERVICE');
+
+            // template without link for this resource
+            result = new main.ARN('arn:aws:amplify:sa-east-1:384862141196:apps/test-null-path').tryConsoleLink();
+            assert.equal(result.ok, false);
+            assert.equal(result.error.code, 'RESOURCE_TYPE_NOT_LINKED');
+        });
+    });
+
+    describe('TemplateRegistry', function () {
+        it('should add links for unlinked and unknown resource types', function () {
+            var registry = new main.TemplateRegistry()
+                .registerTemplate('acm-pca', 'certificate-authority', (arn) => `https://example.com/pca/${arn.resource}`)
+                .registerTemplate('myservice', 'thing', (arn) => `https://example.com/thing/${arn.resource}`);
+            assert.equal(registry.parse('arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/1234').consoleLink, 'https://example.com/pca/1234');
+            assert.equal(new main.ARN('arn:aws:myservice:us-east-1:123456789012:thing/abc', { templates: registry }).consoleLink, 'https://example.com/thing/abc');
+            // other templates of the same service still work
+            assert.equal(registry.parse('arn:aws:iam::123456789012:user/test').consoleLink, 'https://console.aws.amazon.com/iam/home?#/users/test');
+        });
+
+        it('should override built-in templates, and restore them when unregistered', function () {
+            var registry = new main.TemplateRegistry().registerTemplates({
+                's3': { '': (arn) => `https://example.com/s3/${arn.resource}` },
+                'iam': { 'user': null },
+            });
+            assert.equal(registry.parse('arn:aws:s3:::abcdefgh1234').consoleLink, 'https://example.com/s3/abcdefgh1234');
+            assert.throws(() => { registry.parse('arn:aws:iam::123456789012:user/test').consoleLink }, main.UnlinkedResourceTypeError);
+
+            registry.unregisterTemplate('s3', '').unregisterTemplate('iam', 'user').unregisterTemplate('nothing', 'here');
+            assert.equal(registry.parse('arn:aws:s3:::abcdefgh1234').consoleLink, 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234');
+            assert.equal(registry.parse('arn:aws:iam::123456789012:user/test').consoleLink, 'https://console.aws.amazon.com/iam/home?#/users/test');
+        });
+
+        it('should apply templates registered later to ARNs constructed afterwards', function () {
+            var registry = new main.TemplateRegistry();
+            var before = registry.parse('arn:aws:s3:::abcdefgh1234');
+            registry.registerTemplate('s3', '', () => 'https://example.com/');
+            assert.equal(before.consoleLink, 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234');
+            assert.equal(registry.parse('arn:aws:s3:::abcdefgh1234').consoleLink, 'https://example.com/');
+        });
+
+        it('should not affect ARNs constructed without it', function () {
+            var registry = new main.TemplateRegistry().registerTemplate('s3', '', () => 'https://example.com/');
+            var other = new main.TemplateRegistry().registerTemplate('s3', '', () => 'https://example.org/');
+            assert.equal(registry.parse('arn:aws:s3:::abcdefgh1234').consoleLink, 'https://example.com/');
+            assert.equal(other.parse('arn:aws:s3:::abcdefgh1234').consoleLink, 'https://example.org/');
+            assert.equal(new main.ARN('arn:aws:s3:::abcdefgh1234').consoleLink, 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234');
+        });
+
+        it('should be used by extractAll and linkify', function () {
+            var registry = new main.TemplateRegistry().registerTemplate('s3', '', () => 'https://example.com/');
+            assert.equal(main.ARN.extractAll('arn:aws:s3:::abcdefgh1234', { templates: registry })[0].consoleLink, 'https://example.com/');
+            assert.equal(main.ARN.linkify('arn:aws:s3:::abcdefgh1234', { templates: registry }), '[arn:aws:s3:::abcdefgh1234](https://example.com/)');
+        });
+
+        it('should reject bad templates', function () {
+            var registry = new main.TemplateRegistry();
+            assert.throws(() => { registry.registerTemplate('s3', '', 'https://example.com/') }, Error);
+            assert.throws(() => { registry.registerTemplate(null, '', () => '') }, Error);
+        });
+    });
+
+    describe('AccountDirectory', function () {
+        var accounts = new main.AccountDirectory({
+            '123456789012': { name: 'prod-payments', environment: 'prod', team: 'payments' },
+            '210987654321': 'sandbox',
+        });
+
+        it('should look up accounts', function () {
+            assert.deepEqual(accounts.lookup('123456789012'), { id: '123456789012', name: 'prod-payments', environment: 'prod', team: 'payments' });
+            assert.deepEqual(accounts.lookup('210987654321'), { id: '210987654321', name: 'sandbox', environment: null, team: null });
+            assert.equal(accounts.lookup('111111111111'), null);
+            assert.equal(accounts.lookup('toString'), null);
+            assert.equal(accounts.label('123456789012'), 'prod-payments (123456789012)');
+            assert.equal(accounts.label('111111111111'), '111111111111');
+            assert.equal(accounts.size, 2);
+        });
+
+        it('should round-trip JSON', function () {
+            var copy = main.AccountDirectory.fromJSON(JSON.stringify(accounts));
+            assert.deepEqual(copy.toJSON(), { '123456789012': { name: 'prod-payments', environment: 'prod', team: 'payments' }, '210987654321': { name: 'sandbox' } });
+        });
+
+        it('should reject bad accounts', function () {
+            assert.throws(() => { new main.AccountDirectory({ '1234': 'short' }) }, Error);
+            assert.throws(() => { new main.AccountDirectory({ '123456789012': {} }) }, Error);
+            assert.throws(() => { new main.AccountDirectory(['123456789012']) }, Error);
+            assert.throws(() => { main.AccountDirectory.fromJSON('{') }, Error);
+        });
+
+        it('should label ARNs and mark unknown accounts', function () {
+            var arn = new main.ARN('arn:aws:iam::123456789012:user/test', { accounts: accounts });
+            assert.equal(arn.accountInfo.team, 'payments');
+            assert.equal(arn.accountLabel, 'prod-payments (123456789012)');
+            assert.equal(arn.unknownAccount, false);
+            // still there after with*()
+            assert.equal(arn.withRegion('us-east-1').accountLabel, 'prod-payments (123456789012)');
+
+            arn = new main.ARN('arn:aws:iam::111111111111:user/test', { accounts: accounts });
+            assert.equal(arn.accountInfo, null);
+            assert.equal(arn.accountLabel, '111111111111');
+            assert.equal(arn.unknownAccount, true);
+
+            assert.equal(new main.ARN('arn:aws:s3:::abcdefgh1234', { accounts: accounts }).unknownAccount, false);
+            assert.equal(new main.ARN('arn:aws:iam::aws:policy/AdministratorAccess', { accounts: accounts }).unknownAccount, false);
+            assert.equal(new main.ARN('arn:aws:iam::111111111111:user/test').unknownAccount, false);
+        });
+
+        it('should be used by linkify', function () {
+            var text = 'arn:aws:iam::123456789012:user/test arn:aws:iam::111111111111:user/test';
+            assert.equal(main.ARN.linkify(text, { accounts: accounts, annotate: true }),
+                '[arn:aws:iam::123456789012:user/test](https://console.aws.amazon.com/iam/home?#/users/test "prod-payments (123456789012)") ' +
+                '[arn:aws:iam::111111111111:user/test](https://console.aws.amazon.com/iam/home?#/users/test) (unknown account)');
+            assert.equal(main.ARN.linkify(text, { accounts: accounts, format: 'html' }),
+                '<a href="https://console.aws.amazon.com/iam/home?#/users/test" title="prod-payments (123456789012)">arn:aws:iam::123456789012:user/test</a> ' +
+                '<a href="https://console.aws.amazon.com/iam/home?#/users/test">arn:aws:iam::111111111111:user/test</a>');
+        });
+    });
+
+    describe('.supportMatrix(options)', function () {
+        it('should list every service and resource type', function () {
+            var matrix = main.ARN.supportMatrix();
+            var iam = matrix.find(service => service.service == 'iam');
+            assert.equal(iam.name, 'AWS Identity and Access Management');
+            assert.deepEqual(iam.resourceTypes.find(x => x.resourceType == 'user'), { resourceType: 'user', supported: true });
+            assert.deepEqual(iam.resourceTypes.find(x => x.resourceType == 'mfa'), { resourceType: 'mfa', supported: false });
+            assert.deepEqual(matrix.find(service => service.service == 's3').resourceTypes.find(x => x.resourceType == ''), { resourceType: '', supported: true });
+        });
+
+        it('should have a name for every service', function () {
+            var names = main.ARN._getServiceNames();
+            // one name per service, none for services that are gone
+            assert.deepEqual(Object.keys(names).sort(), Object.keys(main.ARN._getLinkTemplates()).sort());
+            for (const service of main.ARN.supportMatrix()) {
+                assert.notEqual(service.name, service.service, `no name for ${service.service}`);
+            }
+        });
+
+        it('should agree with consoleLink for every testcase', function () {
+            var matrix = main.ARN.supportMatrix();
+            for (const testcase of Object.keys(awsTests)) {
+                var arn = new main.ARN(testcase);
+                var service = matrix.find(x => x.service == arn.service);
+                assert.ok(service.resourceTypes.find(x => x.resourceType == arn.resource_type).supported, testcase);
+            }
+        });
+
+        it('should include custom templates', function () {
+            var registry = new main.TemplateRegistry().registerTemplate('acm-pca', 'certificate-authority', () => 'https://example.com/');
+            var acmPca = main.ARN.supportMatrix({ templates: registry }).find(service => service.service == 'acm-pca');
+            assert.deepEqual(acmPca.resourceTypes, [{ resourceType: 'certificate-authority', supported: true }]);
+        });
+
+        it('should match the numbers in README.md', function () {
+            var matrix = main.ARN.supportMatrix();
+            var resourceTypes = [].concat(...matrix.map(service => service.resourceTypes));
+            var supported = resourceTypes.filter(x => x.supported).length;
+            var readme = fs.readFileSync(`${__dirname}/../README.md`, 'utf-8');
+            assert.ok(readme.includes(`console links for ${supported} of ${resourceTypes.length} resource types in ${matrix.length} services`));
+        });
+    });
+
+    describe('partitions', function () {
+        it('should use the console domain of the partition', function () {
+            assert.equal(new main.ARN('arn:aws-iso:iam::123456789012:user/test').consoleLink, 'https://console.c2s.ic.gov/iam/home?#/users/test');
+            assert.equal(new main.ARN('arn:aws-iso-b:iam::123456789012:user/test').consoleLink, 'https://console.sc2s.sgov.gov/iam/home?#/users/test');
+            assert.equal(new main.ARN('arn:aws-eusc:iam::123456789012:user/test').consoleLink, 'https://console.amazonaws.eu/iam/home?#/users/test');
+            assert.throws(() => { new main.ARN('arn:aws-foo:iam::123456789012:user/test').consoleLink }, main.UnsupportedPartitionError);
+        });
+
+        it('should use region subdomains only where the partition has them', function () {
+            assert.equal(new main.ARN('arn:aws:lambda:us-east-1:123456789012:function:f').regionalConsole, 'us-east-1.console.aws.amazon.com');
+            assert.equal(new main.ARN('arn:aws-us-gov:lambda:us-gov-west-1:123456789012:function:f').consoleLink,
+                'https://console.amazonaws-us-gov.com/lambda/home?region=us-gov-west-1#/functions/f');
+            assert.equal(new main.ARN('arn:aws-cn:kinesis:cn-north-1:123456789012:stream/s').consoleLink,
+                'https://console.amazonaws.cn/kinesis/home?region=cn-north-1#/streams/details/s/details');
+        });
+
+        it('should apply per-partition overrides', function () {
+            assert.equal(new main.ARN('arn:aws-us-gov:codebuild:us-gov-west-1:123456789012:project/p').consoleLink,
+                'https://console.amazonaws-us-gov.com/codesuite/codebuild/projects/p?region=us-gov-west-1');
+            assert.equal(new main.ARN('arn:aws-cn:s3:::abcdefgh1234').consoleLink, 'https://console.amazonaws.cn/s3/buckets/abcdefgh1234');
+            assert.equal(new main.ARN('arn:aws-iso:secretsmanager:us-iso-east-1:123456789012:secret:mysecret-AbCdEf').consoleLink,
+                'https://console.c2s.ic.gov/secretsmanager/secret?name=mysecret&region=us-iso-east-1');
+            for (const partition of ['aws', 'aws-us-gov', 'aws-cn', 'aws-iso']) {
+                assert.throws(() => { new main.ARN(`arn:${partition}:secretsmanager:us-east-1:123456789012:secret:MySecret9A3F29-adf`).consoleLink }, main.InvalidResourceError);
+            }
+        });
+
+        it('should throw UnavailableInPartitionError for unavailable resource types', function () {
+            assert.throws(() => { new main.ARN('arn:aws-us-gov:cloudfront::123456789012:distribution/EDFDVBD6EXAMPLE').consoleLink },
+                (e) => e instanceof main.UnavailableInPartitionError && e.code == 'NOT_AVAILABLE_IN_PARTITION' && e.partition == 'aws-us-gov' && e.service == 'cloudfront');
+            assert.throws(() => { new main.ARN('arn:aws-us-gov:wafv2:us-gov-west-1:123456789012:global/webacl/n/i').consoleLink }, main.UnavailableInPartitionError);
+            assert.equal(new main.ARN('arn:aws-us-gov:wafv2:us-gov-west-1:123456789012:regional/webacl/n/i').consoleLink,
+                'https://console.amazonaws-us-gov.com/wafv2/homev2/web-acl/n/i/overview?region=us-gov-west-1');
+            assert.equal(new main.ARN('arn:aws-us-gov:cloudfront::123456789012:distribution/EDFDVBD6EXAMPLE').tryConsoleLink().error.code, 'NOT_AVAILABLE_IN_PARTITION');
+        });
+
+        it('should let custom templates override unavailable resource types', function () {
+            var registry = new main.TemplateRegistry().registerTemplate('cloudfront', 'distribution', (arn) => `https://example.com/${arn.resource}`);
+            assert.equal(registry.parse('arn:aws-us-gov:cloudfront::123456789012:distribution/EDFDVBD6EXAMPLE').consoleLink, 'https://example.com/EDFDVBD6EXAMPLE');
+        });
+
+        it('should share the template table between ARNs of a partition', function () {
+            var a = new main.ARN('arn:aws:iam::123456789012:user/a');
+            var b = new main.ARN('arn:aws:s3:::abcdefgh1234');
+            assert.strictEqual(a._linkTemplates, b._linkTemplates);
+            assert.notStrictEqual(a._linkTemplates, new main.ARN('arn:aws-cn:s3:::abcdefgh1234')._linkTemplates);
+            // templates take the ARN instead of being bound to it
+            assert.equal(a._linkTemplates.iam.user(b), 'https://console.aws.amazon.com/iam/home?#/users/abcdefgh1234');
+        });
+
+        it('should report regions unknown in the partition', function () {
+            assert.deepEqual(new main.ARN('arn:aws-cn:lambda:us-east-1:123456789012:function:f').violations.map(v => v.code), ['UNKNOWN_REGION']);
+            assert.deepEqual(new main.ARN('arn:aws-cn:lambda:cn-north-1:123456789012:function:f').violations, []);
+        });
+
+        it('should convert console links of all partitions back to ARNs', function () {
+            for (const arn of [
+                'arn:aws-iso:iam::123456789012:user/test',
+                'arn:aws-iso-b:lambda:us-isob-east-1:123456789012:function:f',
+                'arn:aws-eusc:lambda:eusc-de-east-1:123456789012:function:f',
+                'arn:aws-cn:lambda:cn-north-1:123456789012:function:f',
+            ]) {
+                assert.equal(main.ARN.fromConsoleLink(new main.ARN(arn).consoleLink, '123456789012').arn, arn);
+            }
+        });
+    });
+
+    describe('#getConsoleLink(options)', function () {
+        var sso = { portal: 'my-portal', roles: { '123456789012': 'ReadOnly' }, defaultRole: 'ViewOnly' };
+
+        it('should be the same as consoleLink without options', function () {
+            for (const [testcase, expected] of Object.entries(awsTests)) {
+                assert.equal(new main.ARN(testcase).getConsoleLink(), expected);
+            }
+        });
+
+        it('should open links through the access portal with sso', function () {
+            assert.equal(new main.ARN('arn:aws:ec2:us-east-1:123456789012:instance/1234').getConsoleLink({ sso: sso }),
+                'https://my-portal.awsapps.com/start/#/console?account_id=123456789012&role_name=ReadOnly&destination=https%3A%2F%2Fus-east-1.console.aws.amazon.com%2Fec2%2Fhome%3Fregion%3Dus-east-1%23InstanceDetails%3AinstanceId%3D1234');
+            assert.equal(new main.ARN('arn:aws:iam::210987654321:user/test').getConsoleLink({ sso: sso }),
+                'https://my-portal.awsapps.com/start/#/console?account_id=210987654321&role_name=ViewOnly&destination=https%3A%2F%2Fconsole.aws.amazon.com%2Fiam%2Fhome%3F%23%2Fusers%2Ftest');
+        });
+
+        it('should accept the start URL as portal', function () {
+            var link = new main.ARN('arn:aws:iam::123456789012:user/test').getConsoleLink({ sso: { portal: 'https://d-1234567890.awsapps.com/start/#/', defaultRole: 'Admin Role' } });
+            assert.ok(link.startsWith('https://d-1234567890.awsapps.com/start/#/console?account_id=123456789012&role_name=Admin%20Role&destination='));
+        });
+
+        it('should not wrap links without account or role', function () {
+            assert.equal(new main.ARN('arn:aws:s3:::abcdefgh1234').getConsoleLink({ sso: sso }), 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234');
+            assert.equal(new main.ARN('arn:aws:iam::aws:policy/AdministratorAccess').getConsoleLink({ sso: sso }), 'https://console.aws.amazon.com/iam/home?#/policies/arn:aws:iam::aws:policy/AdministratorAccess');
+            assert.equal(new main.ARN('arn:aws:iam::210987654321:user/test').getConsoleLink({ sso: { portal: 'my-portal' } }), 'https://console.aws.amazon.com/iam/home?#/users/test');
+            assert.throws(() => { new main.ARN('arn:aws:iam::210987654321:user/test').getConsoleLink({ sso: { defaultRole: 'ReadOnly' } }) }, Error);
+        });
+    });
+
+    describe('#getConsoleLink(options) with region', function () {
+        it('should use defaultRegion only for ARNs without region', function () {
+            assert.equal(new main.ARN('arn:aws:lambda::123456789012:function:f').getConsoleLink({ defaultRegion: 'eu-west-1' }),
+                'https://eu-west-1.console.aws.amazon.com/lambda/home?region=eu-west-1#/functions/f');
+            assert.equal(new main.ARN('arn:aws:lambda:us-west-2:123456789012:function:f').getConsoleLink({ defaultRegion: 'eu-west-1' }),
+                'https://us-west-2.console.aws.amazon.com/lambda/home?region=us-west-2#/functions/f');
+        });
+
+        it('should override the region with region', function () {
+            assert.equal(new main.ARN('arn:aws:lambda:us-west-2:123456789012:function:f').getConsoleLink({ region: 'eu-west-1', defaultRegion: 'us-east-2' }),
+                'https://eu-west-1.console.aws.amazon.com/lambda/home?region=eu-west-1#/functions/f');
+        });
+
+        it('should add the region to S3 bucket links', function () {
+            assert.equal(new main.ARN('arn:aws:s3:::abcdefgh1234').getConsoleLink({ defaultRegion: 'eu-west-1' }), 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234?region=eu-west-1');
+            assert.equal(new main.ARN('arn:aws-cn:s3:::abcdefgh1234').getConsoleLink({ defaultRegion: 'cn-north-1' }), 'https://console.amazonaws.cn/s3/buckets/abcdefgh1234?region=cn-north-1');
+            assert.equal(main.ARN.fromConsoleLink('https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234?region=eu-west-1').arn, 'arn:aws:s3:::abcdefgh1234');
+        });
+
+        it('should pin global services to the global region', function () {
+            assert.equal(new main.ARN('arn:aws:iam::aws:policy/AdministratorAccess').getConsoleLink({ region: 'eu-west-1' }),
+                'https://us-east-1.console.aws.amazon.com/iam/home?region=us-east-1#/policies/arn:aws:iam::aws:policy/AdministratorAccess');
+            assert.equal(new main.ARN('arn:aws:cloudfront::123456789012:distribution/EDFDVBD6EXAMPLE').getConsoleLink({ defaultRegion: 'eu-west-1' }),
+                'https://us-east-1.console.aws.amazon.com/cloudfront/v4/home?region=us-east-1#/distributions/EDFDVBD6EXAMPLE');
+            assert.equal(new main.ARN('arn:aws-us-gov:iam::123456789012:user/test').getConsoleLink({ region: 'us-gov-east-1' }),
+                'https://console.amazonaws-us-gov.com/iam/home?region=us-gov-west-1#/users/test');
+        });
+
+        it('should not change links without region option', function () {
+            assert.equal(new main.ARN('arn:aws:iam::123456789012:user/test').getConsoleLink({}), 'https://console.aws.amazon.com/iam/home?#/users/test');
+            assert.equal(new main.ARN('arn:aws:s3:::abcdefgh1234').getConsoleLink({ sso: undefined }), 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234');
+        });
+
+        it('should list the regions of a partition', function () {
+            assert.deepEqual(main.ARN.regions('aws-cn'), ['cn-north-1', 'cn-northwest-1']);
+            assert.ok(main.ARN.regions('aws').includes('us-east-1'));
+            assert.throws(() => { main.ARN.regions('aws-foo') }, main.UnsupportedPartitionError);
+        });
+    });
+
+    describe('#tryConsoleLink(options) with fallback', function () {
+        it('should be strict by default', function () {
+            assert.equal(new main.ARN('arn:aws:ssm:eu-west-1:123456789012:parameter/x').tryConsoleLink().ok, false);
+            assert.throws(() => { new main.ARN('arn:aws:ssm:eu-west-1:123456789012:parameter/x').consoleLink }, main.UnlinkedResourceTypeError);
+        });
+
+        it('should not change exact links', function () {
+            assert.deepEqual(new main.ARN('arn:aws:s3:::abcdefgh1234').tryConsoleLink({ fallback: true }), { ok: true, link: 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234' });
+        });
+
+        it('should link to the service home page', function () {
+            var result = new main.ARN('arn:aws:ssm:eu-west-1:123456789012:parameter/x').tryConsoleLink({ fallback: true });
+            assert.equal(result.link, 'https://eu-west-1.console.aws.amazon.com/systems-manager/home?region=eu-west-1');
+            assert.equal(result.approximate, true);
+            assert.equal(result.fallback, 'serviceHome');
+            assert.equal(result.reason.code, 'RESOURCE_TYPE_NOT_LINKED');
+            assert.equal(new main.ARN('arn:aws:logs:us-east-1:123456789012:destination:x').tryConsoleLink({ fallback: true }).link,
+                'https://us-east-1.console.aws.amazon.com/cloudwatch/home?region=us-east-1#logsV2:log-groups');
+            assert.equal(new main.ARN('arn:aws:iam::123456789012:mfa/x').tryConsoleLink({ fallback: true }).link, 'https://us-east-1.console.aws.amazon.com/iam/home?region=us-east-1');
+            assert.equal(new main.ARN('arn:aws:ecs:us-east-1:123456789012:service/myservice').tryConsoleLink({ fallback: true }).reason.code, 'INVALID_RESOURCE');
+        });
+
+        it('should search with Resource Explorer for other services', function () {
+            var result = new main.ARN('arn:aws:sdb:eu-west-1:123456789012:domain/mydomain').tryConsoleLink({ fallback: true });
+            assert.equal(result.link, 'https://eu-west-1.console.aws.amazon.com/resource-explorer/home?region=eu-west-1#/search?query=mydomain');
+            assert.equal(result.fallback, 'resourceExplorer');
+            assert.equal(new main.ARN('arn:aws:lamda:us-east-1:123456789012:function:f').tryConsoleLink({ fallback: true }).reason.code, 'UNKNOWN_SERVICE');
+            assert.equal(new main.ARN('arn:aws-us-gov:cloudfront::123456789012:distribution/EDFDVBD6EXAMPLE').tryConsoleLink({ fallback: true }).fallback, 'resourceExplorer');
+        });
+
+        it('should not fall back for unsupported partitions', function () {
+            assert.equal(new main.ARN('arn:aws-foo:ssm:eu-west-1:123456789012:parameter/x').tryConsoleLink({ fallback: true }).error.code, 'UNSUPPORTED_PARTITION');
+        });
+
+        it('should sign in to the account', function () {
+            assert.ok(new main.ARN('arn:aws:ssm:eu-west-1:123456789012:parameter/x').tryConsoleLink({ fallback: true, switchRole: { defaultRole: 'ReadOnly' } }).link
+                .startsWith('https://signin.aws.amazon.com/switchrole?account=123456789012&roleName=ReadOnly&redirect_uri=https%3A%2F%2Feu-west-1.console.aws.amazon.com%2Fsystems-manager'));
+        });
+    });
+
+    describe('#cliCommand', function () {
+        it('should build read-only AWS CLI commands', function () {
+            assert.equal(new main.ARN('arn:aws:ec2:us-east-1:123456789012:instance/i-1234').cliCommand, 'aws ec2 describe-instances --instance-ids i-1234 --region us-east-1');
+            assert.equal(new main.ARN('arn:aws:ecs:us-east-1:123456789012:service/mycluster/myservice').cliCommand, 'aws ecs describe-services --cluster mycluster --services myservice --region us-east-1');
+            assert.equal(new main.ARN('arn:aws:ecs:us-east-1:123456789012:task-definition/mytask:1').cliCommand, 'aws ecs describe-task-definition --task-definition mytask:1 --region us-east-1');
+            assert.equal(new main.ARN('arn:aws:lambda:us-west-1:123456789012:function:my-lambda').cliCommand,
+                'aws lambda get-function --function-name arn:aws:lambda:us-west-1:123456789012:function:my-lambda --region us-west-1');
+            assert.equal(new main.ARN('arn:aws:logs:us-east-2:123456789012:log-group:/aws/lambda/dev-hello:*').cliCommand, 'aws logs describe-log-groups --log-group-name-prefix /aws/lambda/dev-hello --region us-east-2');
+            assert.equal(new main.ARN('arn:aws:elasticloadbalancing:us-east-1:123456789012:loadbalancer/my-classic').cliCommand, 'aws elb describe-load-balancers --load-balancer-names my-classic --region us-east-1');
+        });
+
+        it('should not add a region for global services', function () {
+            assert.equal(new main.ARN('arn:aws:iam::123456789012:role/aws-service-role/support.amazonaws.com/AWSServiceRoleForSupport').cliCommand, 'aws iam get-role --role-name AWSServiceRoleForSupport');
+            assert.equal(new main.ARN('arn:aws:s3:::abcdefgh1234').cliCommand, 'aws s3api get-bucket-location --bucket abcdefgh1234');
+        });
+
+        it('should quote for the shell', function () {
+            assert.equal(new main.ARN('arn:aws:logs:us-east-2:123456789012:log-group:test00_11-22/33.44#55:*').cliCommand,
+                "aws logs describe-log-groups --log-group-name-prefix 'test00_11-22/33.44#55' --region us-east-2");
+            assert.equal(main.ARN._shellQuote("it's"), "'it'\\''s'");
+            assert.equal(main.ARN._shellQuote(''), "''");
+        });
+
+        it('should have a command for every resource type with a console link', function () {
+            for (const testcase of Object.keys(awsTests)) {
+                var arn = new main.ARN(testcase);
+                if (!(arn.service == 'route53' && arn.resource_type == 'trafficpolicy')) {
+                    assert.ok(arn.cliCommand, testcase);
+                }
+            }
+        });
+
+        it('should be null for resource types without command', function () {
+            assert.equal(new main.ARN('arn:aws:sdb:us-east-1:123456789012:domain/x').cliCommand, null);
+            assert.throws(() => { new main.ARN('arn:aws:ecs:us-east-1:123456789012:service/myservice').cliCommand }, main.InvalidResourceError);
+        });
+    });
+
+    describe('#links', function () {
+        it('should have all kinds of links', function () {
+            assert.deepEqual(new main.ARN('arn:aws:ec2:us-east-1:123456789012:instance/i-1234').links, {
+                console: 'https://us-east-1.console.aws.amazon.com/ec2/home?region=us-east-1#InstanceDetails:instanceId=i-1234',
+                cloudtrail: 'https://us-east-1.console.aws.amazon.com/cloudtrailv2/home?region=us-east-1#/events?ResourceName=i-1234',
+                config: 'https://us-east-1.console.aws.amazon.com/config/home?region=us-east-1#/timeline/AWS::EC2::Instance/i-1234/configuration',
+                resourceExplorer: 'https://us-east-1.console.aws.amazon.com/resource-explorer/home?region=us-east-1#/search?query=i-1234',
+                tags: 'https://us-east-1.console.aws.amazon.com/resource-groups/tag-editor/find-resources?region=us-east-1',
+            });
+        });
+
+        it('should use the options the ARN was constructed with', function () {
+            var links = new main.ARN('arn:aws:s3:::abcdefgh1234', { defaultRegion: 'eu-west-1' }).links;
+            assert.equal(links.console, 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234?region=eu-west-1');
+            assert.equal(links.tags, 'https://eu-west-1.console.aws.amazon.com/resource-groups/tag-editor/find-resources?region=eu-west-1');
+            links = new main.ARN('arn:aws:iam::123456789012:user/test', { sso: { portal: 'my-portal', defaultRole: 'ReadOnly' } }).links;
+            assert.ok(links.console.startsWith('https://my-portal.awsapps.com/start/#/console?account_id=123456789012&role_name=ReadOnly&destination='));
+        });
+
+        it('should have generic links for resource types without console link', function () {
+            var links = new main.ARN('arn:aws:sdb:eu-west-1:123456789012:domain/mydomain').links;
+            assert.equal(links.console, null);
+            assert.equal(links.config, null);
+            assert.equal(links.cloudtrail, 'https://eu-west-1.console.aws.amazon.com/cloudtrailv2/home?region=eu-west-1#/events?ResourceName=mydomain');
+            assert.ok(links.resourceExplorer);
+            assert.ok(links.tags);
+        });
+
+        it('should use the global region for ARNs without region', function () {
+            assert.equal(new main.ARN('arn:aws:iam::123456789012:user/test').links.cloudtrail,
+                'https://us-east-1.console.aws.amazon.com/cloudtrailv2/home?region=us-east-1#/events?ResourceName=test');
+            assert.equal(new main.ARN('arn:aws:s3:::abcdefgh1234').getLinks({ defaultRegion: 'eu-west-1' }).config,
+                'https://eu-west-1.console.aws.amazon.com/config/home?region=eu-west-1#/timeline/AWS::S3::Bucket/abcdefgh1234/configuration');
+            assert.equal(new main.ARN('arn:aws-us-gov:iam::123456789012:user/test').links.cloudtrail,
+                'https://console.amazonaws-us-gov.com/cloudtrailv2/home?region=us-gov-west-1#/events?ResourceName=test');
+        });
+
+        it('should sign in to the account', function () {
+            var links = new main.ARN('arn:aws:sdb:eu-west-1:123456789012:domain/mydomain').getLinks({ switchRole: { defaultRole: 'ReadOnly' } });
+            assert.ok(links.cloudtrail.startsWith('https://signin.aws.amazon.com/switchrole?account=123456789012&roleName=ReadOnly&redirect_uri=https%3A%2F%2Feu-west-1.console.aws.amazon.com%2Fcloudtrailv2'));
+        });
+
+        it('should throw for unsupported partitions', function () {
+            assert.throws(() => { new main.ARN('arn:aws-foo:iam::123456789012:user/test').links }, main.UnsupportedPartitionError);
+        });
+    });
+
+    describe('#getConsoleLink(options) with switchRole', function () {
+        var switchRole = { roles: { '123456789012': { roleName: 'ReadOnly', displayName: 'prod (read only)' } }, defaultRole: 'Admin' };
+
+        it('should open links through the switch role page', function () {
+            assert.equal(new main.ARN('arn:aws:iam::123456789012:user/test').getConsoleLink({ switchRole: switchRole }),
+                'https://signin.aws.amazon.com/switchrole?account=123456789012&roleName=ReadOnly&displayName=prod%20(read%20only)&redirect_uri=https%3A%2F%2Fconsole.aws.amazon.com%2Fiam%2Fhome%3F%23%2Fusers%2Ftest');
+            assert.equal(new main.ARN('arn:aws:iam::210987654321:user/test').getConsoleLink({ switchRole: switchRole }),
+                'https://signin.aws.amazon.com/switchrole?account=210987654321&roleName=Admin&redirect_uri=https%3A%2F%2Fconsole.aws.amazon.com%2Fiam%2Fhome%3F%23%2Fusers%2Ftest');
+            assert.equal(new main.ARN('arn:aws:iam::210987654321:user/test').getConsoleLink({ switchRole: { roles: { '210987654321': 'Dev' } } }),
+                'https://signin.aws.amazon.com/switchrole?account=210987654321&roleName=Dev&redirect_uri=https%3A%2F%2Fconsole.aws.amazon.com%2Fiam%2Fhome%3F%23%2Fusers%2Ftest');
+        });
+
+        it('should use the sign-in host of the partition', function () {
+            assert.equal(new main.ARN('arn:aws:iam::123456789012:user/test').signin, 'signin.aws.amazon.com');
+            assert.equal(new main.ARN('arn:aws-us-gov:iam::123456789012:user/test').signin, 'signin.amazonaws-us-gov.com');
+            assert.equal(new main.ARN('arn:aws-cn:iam::123456789012:user/test').signin, 'signin.amazonaws.cn');
+            assert.equal(new main.ARN('arn:aws-iso:iam::123456789012:user/test').signin, null);
+            assert.throws(() => { new main.ARN('arn:aws-foo:iam::123456789012:user/test').signin }, main.UnsupportedPartitionError);
+            assert.equal(new main.ARN('arn:aws-iso:iam::123456789012:user/test').getConsoleLink({ switchRole: switchRole }), 'https://console.c2s.ic.gov/iam/home?#/users/test');
+            assert.ok(new main.ARN('arn:aws-cn:iam::123456789012:user/test').getConsoleLink({ switchRole: switchRole })
+                .startsWith('https://signin.amazonaws.cn/switchrole?account=123456789012&roleName=ReadOnly&'));
+        });
+
+        it('should not wrap links without account or role', function () {
+            assert.equal(new main.ARN('arn:aws:s3:::abcdefgh1234').getConsoleLink({ switchRole: switchRole }), 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234');
+            assert.equal(new main.ARN('arn:aws:iam::210987654321:user/test').getConsoleLink({ switchRole: { roles: {} } }), 'https://console.aws.amazon.com/iam/home?#/users/test');
+        });
+
+        it('should prefer sso', function () {
+            assert.ok(new main.ARN('arn:aws:iam::123456789012:user/test').getConsoleLink({ switchRole: switchRole, sso: { portal: 'my-portal', defaultRole: 'ReadOnly' } })
+                .startsWith('https://my-portal.awsapps.com/start/'));
+        });
+    });
+
+    describe('.extractAll(text)', function () {
+        it('should find ARNs in prose with their offsets', function () {
+            var text = 'User: arn:aws:iam::123456789012:user/test is not authorized to perform: s3:GetObject on resource: "arn:aws:s3:::abcdefgh1234".';
+            var found = main.ARN.extractAll(text);
+            assert.equal(found.length, 2);
+            assert.equal(found[0].text, 'arn:aws:iam::123456789012:user/test');
+            assert.equal(text.slice(found[0].start, found[0].end), found[0].text);
+            assert.equal(found[0].arn.resource_type, 'user');
+            assert.equal(found[0].hasConsoleLink, true);
+            assert.equal(found[0].consoleLink, 'https://console.aws.amazon.com/iam/home?#/users/test');
+            assert.equal(found[1].text, 'arn:aws:s3:::abcdefgh1234');
+            assert.equal(text.slice(found[1].start, found[1].end), found[1].text);
+        });
+
+        it('should drop trailing punctuation but keep wildcards', function () {
+            var found = main.ARN.extractAll('Denied: arn:aws:s3:::abcdefgh1234/*. Also arn:aws:logs:us-east-2:123456789012:log-group:test00_11-22/33.44#55:*, and **arn:aws:iam::123456789012:user/test**: done');
+            assert.deepEqual(found.map(x => x.text), [
+                'arn:aws:s3:::abcdefgh1234/*',
+                'arn:aws:logs:us-east-2:123456789012:log-group:test00_11-22/33.44#55:*',
+                'arn:aws:iam::123456789012:user/test',
+            ]);
+        });
+
+        it('should find ARNs in brackets and JSON strings', function () {
+            var found = main.ARN.extractAll('{"Resources": ["arn:aws:sns:us-east-1:123456789012:sns-topic"], "x": (arn:aws:ec2:us-east-1:123456789012:instance/1234)}');
+            assert.deepEqual(found.map(x => x.text), [
+                'arn:aws:sns:us-east-1:123456789012:sns-topic',
+                'arn:aws:ec2:us-east-1:123456789012:instance/1234',
+            ]);
+        });
+
+        it('should decode URL-encoded ARNs', function () {
+            var text = 'https://example.com/?resource=arn%3Aaws%3Aiam%3A%3A123456789012%3Auser%2Ftest&x=1';
+            var found = main.ARN.extractAll(text);
+            assert.equal(found.length, 1);
+            assert.equal(found[0].text, 'arn%3Aaws%3Aiam%3A%3A123456789012%3Auser%2Ftest');
+            assert.equal(found[0].arn.arn, 'arn:aws:iam::123456789012:user/test');
+            assert.equal(text.slice(found[0].start, found[0].end), found[0].text);
+        });
+
+        it('should report ARNs without console link', function () {
+            var found = main.ARN.extractAll('arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/1234');
+            assert.equal(found.length, 1);
+            assert.equal(found[0].hasConsoleLink, false);
+            assert.equal(found[0].consoleLink, null);
+        });
+
+        it('should skip things that aren\'t ARNs', function () {
+            assert.deepEqual(main.ARN.extractAll('no arn: here, smarn:aws:iam::123456789012:user/test, arn:aws:short, arn%3A%ZZ'), []);
+            assert.throws(() => { main.ARN.extractAll(null) }, Error);
+        });
+    });
+
+    describe('.linkify(text, options)', function () {
+        it('should rewrite ARNs as Markdown links', function () {
+            assert.equal(main.ARN.linkify('Bucket arn:aws:s3:::abcdefgh1234, user arn:aws:iam::123456789012:user/test.'),
+                'Bucket [arn:aws:s3:::abcdefgh1234](https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234), user [arn:aws:iam::123456789012:user/test](https://console.aws.amazon.com/iam/home?#/users/test).');
+            assert.equal(main.ARN.linkify('arn:aws:s3:::my_bucket'), '[arn:aws:s3:::my\\_bucket](https://s3.console.aws.amazon.com/s3/buckets/my_bucket)');
+        });
+
+        it('should rewrite ARNs as escaped HTML links', function () {
+            assert.equal(main.ARN.linkify('<p>arn:aws:sqs:us-east-1:123456789012:q &amp; more</p>', { format: 'html' }),
+                '<p><a href="https://us-east-1.console.aws.amazon.com/sqs/v2/home?region=us-east-1#/queues/https%3A%2F%2Fsqs.us-east-1.amazonaws.com%2F123456789012%2Fq">arn:aws:sqs:us-east-1:123456789012:q</a> &amp; more</p>');
+            assert.equal(main.ARN.linkify('<a href="#">arn:aws:s3:::abcdefgh1234</a> <img alt="arn:aws:s3:::abcdefgh1234">', { format: 'html' }),
+                '<a href="#">arn:aws:s3:::abcdefgh1234</a> <img alt="arn:aws:s3:::abcdefgh1234">');
+        });
+
+        it('should rewrite ARNs as terminal hyperlinks', function () {
+            assert.equal(main.ARN.linkify('x arn:aws:s3:::abcdefgh1234 y', { format: 'osc8' }),
+                'x \x1b]8;;https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234\x1b\\arn:aws:s3:::abcdefgh1234\x1b]8;;\x1b\\ y');
+        });
+
+        it('should leave ARNs without console link, in code or in URLs alone', function () {
+            var text = 'arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/1234 `arn:aws:s3:::abcdefgh1234` [x](https://console.aws.amazon.com/sns/v3/home?region=us-east-1#/topic/arn:aws:sns:us-east-1:123456789012:sns-topic)';
+            assert.equal(main.ARN.linkify(text), text);
+            assert.equal(main.ARN.linkify('[arn:aws:s3:::abcdefgh1234](https://example.com)'), '[arn:aws:s3:::abcdefgh1234](https://example.com)');
+        });
+
+        it('should annotate ARNs without console link if asked to', function () {
+            assert.equal(main.ARN.linkify('arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/1234.', { annotate: true }),
+                'arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/1234 (no console link).');
+        });
+
+        it('should reject unknown formats', function () {
+            assert.throws(() => { main.ARN.linkify('', { format: 'rtf' }) }, Error);
+        });
+    });
+
+    describe('.fromConsoleLink(url, account)', function () {
+        // These links don't contain enough information to rebuild the ARN.
+        var irreversible = [
+            'arn:aws:autoscaling:us-east-1:123456789012:autoScalingGroup:034d7396-90f3-r8si-88f5-ff1dcc0eb80e:autoScalingGroupName/test',
+            'arn:aws:eks:us-east-1:123456789012:nodegroup/test-cluster/test-workers/a2c51527-da50-031f-1130-c5d5d77be06c',
+            'arn:aws:elasticbeanstalk:us-east-1:123456789012:environment/test-app/test-env',
+            'arn:aws:route53:::healthcheck/b48b0df4-79df-4e41-b69b-9a48b8ebef04',
+            'arn:aws:secretsmanager:us-west-2:123456789012:secret:MySecret9A3F29-vdHtS43BP1i1-knwb3S',
+        ];
+        for (const [testcase, expected] of Object.entries(awsTests)) {
+            if (!expected) {
+                continue;
+            }
+            if (irreversible.includes(testcase)) {
+                it(`should throw for link of: "${testcase}"`, () => {
+                    assert.throws(() => { main.ARN.fromConsoleLink(expected, '123456789012') }, Error);
+                })
+                continue;
+            }
+            it(`should round-trip link of: "${testcase}"`, () => {
+                var account = new main.ARN(testcase).account;
+                assert.equal(main.ARN.fromConsoleLink(expected, account).consoleLink, expected);
+            })
+        }
+
+        it('should rebuild the ARN', function () {
+            assert.equal(main.ARN.fromConsoleLink('https://us-east-1.console.aws.amazon.com/ecs/v2/clusters/mycluster/services/myservice?region=us-east-1', '123456789012').arn,
+                'arn:aws:ecs:us-east-1:123456789012:service/mycluster/myservice');
+            assert.equal(main.ARN.fromConsoleLink('https://console.amazonaws-us-gov.com/iam/home?#/users/test', '123456789012').arn,
+                'arn:aws-us-gov:iam::123456789012:user/test');
+        });
+
+        it('should take the account from the link if it contains one', function () {
+            assert.equal(main.ARN.fromConsoleLink('https://us-east-1.console.aws.amazon.com/sqs/v2/home?region=us-east-1#/queues/https%3A%2F%2Fsqs.us-east-1.amazonaws.com%2F123456789012%2Fmyqueue').arn,
+                'arn:aws:sqs:us-east-1:123456789012:myqueue');
+        });
+
+        it('should throw if the account is needed but not supplied', function () {
+            assert.throws(() => { main.ARN.fromConsoleLink('https://us-east-1.console.aws.amazon.com/ec2/home?region=us-east-1#InstanceDetails:instanceId=1234') }, /account ID/);
+        });
+
+        it('should reject links that aren\'t console links', function () {
+            assert.throws(() => { main.ARN.fromConsoleLink('https://example.com/ec2/home?region=us-east-1#InstanceDetails:instanceId=1234', '123456789012') }, Error);
+            assert.throws(() => { main.ARN.fromConsoleLink('https://console.aws.amazon.com/unknown', '123456789012') }, Error);
+            assert.throws(() => { main.ARN.fromConsoleLink(null) }, Error);
+        });
+    });
+});
+
+describe('cli', function () {
+    // Run the command line tool with fake stdin/stdout/stderr.
+    describe('#main(argv, io)', function () {
+        it('should convert ARNs given as arguments', async function () {
+            var result = await run(['arn:aws:s3:::abcdefgh1234', 'arn:aws:iam::123456789012:user/test']);
+            assert.equal(result.out, 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234\nhttps://console.aws.amazon.com/iam/home?#/users/test\n');
+            assert.equal(result.err, '');
+            assert.equal(result.code, 0);
+        });
+
+        it('should read ARNs from stdin, one per line', async function () {
+            var result = await run([], 'arn:aws:s3:::abcdefgh1234\n\n  arn:aws:iam::123456789012:user/test  \n');
+            assert.equal(result.out, 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234\nhttps://console.aws.amazon.com/iam/home?#/users/test\n');
+        });
+
+        it('should convert console links back to ARNs', async function () {
+            var result = await run(['--account', '123456789012', 'https://console.aws.amazon.com/iam/home?#/users/test']);
+            assert.equal(result.out, 'arn:aws:iam::123456789012:user/test\n');
+        });
+
+        it('should print errors without stack trace', async function () {
+            var result = await run(['foo']);
+            assert.equal(result.out, '');
+            assert.equal(result.err, 'link2aws: foo: Bad number of tokens: expected arn:partition:service:region:account:resource, got 1 part\n');
+            assert.equal(result.code, 0);
+        });
+
+        it('should output JSON records', async function () {
+            var result = await run(['--format=json', 'arn:aws:s3:::abcdefgh1234', 'foo']);
+            var records = result.out.trim().split('\n').map(line => JSON.parse(line));
+            assert.equal(records.length, 2);
+            assert.equal(records[0].input, 'arn:aws:s3:::abcdefgh1234');
+            assert.equal(records[0].service, 's3');
+            assert.equal(records[0].resource, 'abcdefgh1234');
+            assert.equal(records[0].link, 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234');
+            assert.equal(records[0].error, null);
+            assert.equal(records[1].link, null);
+            assert.equal(records[1].error.code, 'INVALID_ARN');
+        });
+
+        it('should output CSV and TSV with header', async function () {
+            var result = await run(['--format', 'csv', 'arn:aws:s3:::abcdefgh1234', 'arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/x']);
+            var lines = result.out.trim().split('\n');
+            assert.equal(lines[0], 'input,arn,partition,service,region,account,resource_type,resource,resource_revision,link,error_code,error_message');
+            assert.equal(lines[1], 'arn:aws:s3:::abcdefgh1234,arn:aws:s3:::abcdefgh1234,aws,s3,,,,abcdefgh1234,,https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234,,');
+            assert.ok(lines[2].includes(',RESOURCE_TYPE_NOT_LINKED,'));
+
+            result = await run(['--format', 'tsv', 'arn:aws:s3:::abcdefgh1234']);
+            lines = result.out.trim().split('\n');
+            assert.equal(lines[0].split('\t').length, 12);
+            assert.equal(lines[1].split('\t')[9], 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234');
+        });
+
+        it('should quote CSV fields', async function () {
+            var result = await run(['--format', 'csv', 'a,"b']);
+            assert.ok(result.out.split('\n')[1].startsWith('"a,""b",'));
+        });
+
+        it('should distinguish invalid and unsupported ARNs with --strict', async function () {
+            assert.equal((await run(['--strict', 'arn:aws:s3:::abcdefgh1234'])).code, 0);
+            assert.equal((await run(['--strict', 'foo', 'arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/x'])).code, 2);
+            assert.equal((await run(['--strict', 'arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/x'])).code, 3);
+            assert.equal((await run(['--strict', 'arn:aws:UNSUPPORTED::123456789012:user/test'])).code, 3);
+            assert.equal((await run(['foo'])).code, 0);
+        });
+
+        it('should reject bad usage', async function () {
+            assert.equal((await run(['--bogus'])).code, 1);
+            assert.equal((await run(['--format', 'xml'])).code, 1);
+            assert.equal((await run(['--format'])).code, 1);
+            assert.equal((await run(['--file', '/nonexistent'])).code, 1);
+        });
+
+        it('should linkify stdin line by line', async function () {
+            var result = await run(['linkify', '--format', 'html'], 'Bucket arn:aws:s3:::abcdefgh1234\nnothing here\n');
+            assert.equal(result.out, 'Bucket <a href="https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234">arn:aws:s3:::abcdefgh1234</a>\nnothing here\n');
+            assert.equal(result.code, 0);
+
+            result = await run(['linkify'], 'arn:aws:s3:::abcdefgh1234\n');
+            assert.equal(result.out, '[arn:aws:s3:::abcdefgh1234](https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234)\n');
+
+            result = await run(['linkify', '--annotate'], 'arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/1234\n');
+            assert.equal(result.out, 'arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/1234 (no console link)\n');
+
+            assert.equal((await run(['linkify', '--format=rtf'])).code, 1);
+            assert.equal((await run(['linkify', '--bogus'])).code, 1);
+        });
+
+        it('should wait for a slow reader', async function () {
+            for (const argv of [['linkify'], []]) {
+                // stdout whose buffer is always full: each line waits for 'drain'
+                var stdout = new events.EventEmitter();
+                var pending = 0;
+                var maxPending = 0;
+                stdout.write = () => {
+                    pending++;
+                    maxPending = Math.max(maxPending, pending);
+                    setImmediate(() => {
+                        pending--;
+                        stdout.emit('drain');
+                    });
+                    return false;
+                };
+                var code = await cli.main(argv, {
+                    stdin: stream.Readable.from(['arn:aws:s3:::abcdefgh1234\n'.repeat(20)]),
+                    stdout: stdout,
+                    stderr: { write: () => {} },
+                    env: {},
+                });
+                assert.equal(code, 0);
+                assert.equal(maxPending, 1, argv.join(' '));
+            }
+        });
+
+        it('should require option values in every command', async function () {
+            for (const argv of [['--format'], ['linkify', '--templates'], ['linkify', '--format'], ['serve', '--port'], ['cloudtrail', '--region']]) {
+                var result = await run(argv);
+                assert.equal(result.code, 1);
+                assert.equal(result.err.split('\n')[0], `link2aws: Option ${argv[argv.length - 1]} requires a value`);
+            }
+            assert.equal((await run(['serve', 'extra'])).err.split('\n')[0], 'link2aws: Unexpected argument: extra');
+        });
+
+        it('should load custom templates', async function () {
+            var result = await run(['--templates', 'testcases/templates.js', 'arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/1234', 'arn:aws:iam::123456789012:user/test']);
+            assert.equal(result.out, 'https://dashboard.example.com/pca/us-east-1/1234\nhttps://console.aws.amazon.com/iam/home?#/users/test\n');
+
+            result = await run(['linkify', '--templates=testcases/templates.js'], 'arn:aws:s3:::abcdefgh1234\n');
+            assert.equal(result.out, '[arn:aws:s3:::abcdefgh1234](https://dashboard.example.com/s3/abcdefgh1234)\n');
+
+            assert.equal((await run(['--templates', 'testcases/nonexistent.js'])).code, 1);
+            assert.equal((await run(['linkify', '--templates', 'testcases/nonexistent.js'])).code, 1);
+        });
+
+        it('should list supported resource types', async function () {
+            var result = await run(['--list-supported']);
+            assert.ok(result.out.includes('iam (AWS Identity and Access Management)\n'));
+            assert.ok(result.out.includes('  [x] user\n'));
+            assert.ok(result.out.includes('  [ ] mfa\n'));
+            assert.ok(/\n\d+ of \d+ resource types in \d+ services have console links.\n$/.test(result.out));
+
+            result = await run(['--list-supported', '--json']);
+            assert.deepEqual(JSON.parse(result.out), main.ARN.supportMatrix());
+        });
+
+        it('should reject --json without --list-supported', async function () {
+            var result = await run(['--json', 'arn:aws:s3:::abcdefgh1234']);
+            assert.equal(result.code, 1);
+            assert.equal(result.err.split('\n')[0], 'link2aws: --json only works with --list-supported');
+        });
+
+        it('should print help and the supported resource types with a broken config file', async function () {
+            var env = { env: { LINK2AWS_CONFIG: 'testcases/nonexistent.json' } };
+            assert.equal((await run(['--help'], '', env)).code, 0);
+            assert.equal((await run(['--list-supported'], '', env)).code, 0);
+            assert.equal((await run(['arn:aws:s3:::abcdefgh1234'], '', env)).code, 1);
+        });
+
+        it('should open links through the access portal with --config', async function () {
+            var expected = 'https://my-portal.awsapps.com/start/#/console?account_id=123456789012&role_name=ReadOnly&destination=https%3A%2F%2Fconsole.aws.amazon.com%2Fiam%2Fhome%3F%23%2Fusers%2Ftest\n';
+            assert.equal((await run(['--config', 'testcases/config.json', 'arn:aws:iam::123456789012:user/test'])).out, expected);
+            assert.equal((await run(['arn:aws:iam::123456789012:user/test'], '', { env: { LINK2AWS_CONFIG: 'testcases/config.json' } })).out, expected);
+            assert.equal((await run(['linkify', '--format=html', '--config=testcases/config.json'], 'arn:aws:iam::123456789012:user/test\n')).out,
+                `<a href="${expected.trim().replace(/&/g, '&amp;')}">arn:aws:iam::123456789012:user/test</a>\n`);
+            assert.equal((await run(['--config', 'testcases/nonexistent.json', 'arn:aws:iam::123456789012:user/test'])).code, 1);
+        });
+
+        it('should open links through the switch role page with --config', async function () {
+            assert.equal((await run(['--config', 'testcases/config-switchrole.json', 'arn:aws:iam::123456789012:user/test'])).out,
+                'https://signin.aws.amazon.com/switchrole?account=123456789012&roleName=ReadOnly&displayName=prod&redirect_uri=https%3A%2F%2Fconsole.aws.amazon.com%2Fiam%2Fhome%3F%23%2Fusers%2Ftest\n');
+        });
+
+        it('should label accounts with --accounts', async function () {
+            var arns = ['arn:aws:iam::123456789012:user/test', 'arn:aws:iam::111111111111:user/test', 'arn:aws:s3:::abcdefgh1234'];
+            assert.equal((await run(['--accounts', 'testcases/accounts.json'].concat(arns))).out,
+                'https://console.aws.amazon.com/iam/home?#/users/test\tprod-payments (123456789012)\n' +
+                'https://console.aws.amazon.com/iam/home?#/users/test\tunknown account (111111111111)\n' +
+                'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234\n');
+            assert.equal((await run(['--config', 'testcases/config-accounts.json'].concat(arns))).out,
+                (await run(['--accounts', 'testcases/accounts.json'].concat(arns))).out);
+
+            var records = (await run(['--accounts=testcases/accounts.json', '--format=json'].concat(arns))).out.trim().split('\n').map(JSON.parse);
+            assert.deepEqual(records.map(record => [record.account_alias, record.account_environment, record.account_team, record.account_unknown]),
+                [['prod-payments', 'prod', 'payments', false], [null, null, null, true], [null, null, null, false]]);
+
+            var lines = (await run(['--accounts=testcases/accounts.json', '--format=csv', arns[0]])).out.split('\n');
+            assert.ok(lines[0].endsWith(',account_alias,account_environment,account_team,account_unknown'));
+            assert.ok(lines[1].endsWith(',prod-payments,prod,payments,false'));
+            // not without --accounts
+            assert.ok(!(await run(['--format=csv', arns[0]])).out.includes('account_alias'));
+
+            assert.equal((await run(['linkify', '--annotate', '--accounts', 'testcases/accounts.json'], arns[1] + '\n')).out,
+                `[${arns[1]}](https://console.aws.amazon.com/iam/home?#/users/test) (unknown account)\n`);
+            assert.equal((await run(['--accounts', 'testcases/nonexistent.json', arns[0]])).code, 1);
+        });
+
+        it('should use --region for ARNs without region', async function () {
+            assert.equal((await run(['--region', 'eu-west-1', 'arn:aws:s3:::abcdefgh1234', 'arn:aws:iam::123456789012:user/test'])).out,
+                'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234?region=eu-west-1\nhttps://us-east-1.console.aws.amazon.com/iam/home?region=us-east-1#/users/test\n');
+            assert.equal((await run(['linkify', '--region=eu-west-1'], 'arn:aws:s3:::abcdefgh1234\n')).out,
+                '[arn:aws:s3:::abcdefgh1234](https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234?region=eu-west-1)\n');
+            assert.equal((await run(['--region', 'EU', 'arn:aws:s3:::abcdefgh1234'])).code, 1);
+        });
+
+        it('should print other kinds of links with --kind', async function () {
+            assert.equal((await run(['--kind', 'cloudtrail', 'arn:aws:sdb:eu-west-1:123456789012:domain/mydomain'])).out,
+                'https://eu-west-1.console.aws.amazon.com/cloudtrailv2/home?region=eu-west-1#/events?ResourceName=mydomain\n');
+            var result = await run(['--kind=config', '--format=json', 'arn:aws:iam::123456789012:user/test']);
+            assert.equal(JSON.parse(result.out).error.code, 'RESOURCE_TYPE_NOT_LINKED');
+            assert.equal((await run(['--kind', 'timeline', 'arn:aws:iam::123456789012:user/test'])).code, 1);
+        });
+
+        it('should print AWS CLI commands with --cli-command', async function () {
+            var result = await run(['--cli-command', 'arn:aws:ec2:us-east-1:123456789012:instance/i-1234', 'arn:aws:sdb:us-east-1:123456789012:domain/x']);
+            assert.equal(result.out, 'aws ec2 describe-instances --instance-ids i-1234 --region us-east-1\n');
+            assert.ok(result.err.includes('sdb'));
+            var lines = (await run(['--cli-command', '--format=csv', 'arn:aws:s3:::abcdefgh1234'])).out.split('\n');
+            assert.ok(lines[0].endsWith(',error_message,cli_command'));
+            assert.ok(lines[1].endsWith(',aws s3api get-bucket-location --bucket abcdefgh1234'));
+        });
+
+        it('should keep the link error with --cli-command', async function () {
+            var spawned = [];
+            var spawn = (command, args) => {
+                spawned.push([command].concat(args));
+                return { on: () => {}, unref: () => {} };
+            };
+            var result = await run(['--cli-command', '--open', '--opener', 'my-browser', 'arn:aws:amplify:sa-east-1:384862141196:apps/test-null-path'], '', { spawn: spawn });
+            assert.equal(result.out, 'aws amplify get-app --app-id test-null-path --region sa-east-1\n');
+            assert.deepEqual(spawned, []);
+
+            result = await run(['--cli-command', '--format=json', '--strict', 'arn:aws-UNSUPPORTED:iam::123456789012:user/test']);
+            var record = JSON.parse(result.out);
+            assert.equal(record.link, null);
+            assert.equal(record.error.code, 'UNSUPPORTED_PARTITION');
+            assert.equal(record.cli_command, 'aws iam get-user --user-name test');
+            assert.equal(result.code, 3);
+        });
+
+        it('should open links with the opener command', async function () {
+            var spawned = [];
+            var spawn = (command, args) => {
+                spawned.push([command].concat(args));
+                return { on: () => {}, unref: () => {} };
+            };
+            await run(['--open', '--opener', 'my-browser --new-tab', 'arn:aws:s3:::abcdefgh1234', 'foo'], '', { spawn: spawn });
+            assert.deepEqual(spawned, [['my-browser', '--new-tab', 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234']]);
+
+            spawned = [];
+            await run(['--open', 'arn:aws:s3:::abcdefgh1234'], '', { spawn: spawn, env: { LINK2AWS_OPENER: 'firefox' } });
+            assert.deepEqual(spawned, [['firefox', 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234']]);
+
+            spawned = [];
+            await run(['--open', 'arn:aws:s3:::abcdefgh1234'], '', { spawn: spawn, platform: 'darwin' });
+            assert.deepEqual(spawned, [['open', 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234']]);
+
+            // the whole link, "&" included
+            spawned = [];
+            await run(['--open', 'arn:aws-cn:secretsmanager:cn-north-1:123456789012:secret:mysecret-AbCdEf'], '', { spawn: spawn, platform: 'win32' });
+            assert.deepEqual(spawned, [['rundll32', 'url.dll,FileProtocolHandler', 'https://console.amazonaws.cn/secretsmanager/secret?name=mysecret&region=cn-north-1']]);
+        });
+    });
+});
+
+describe('server', function () {
+    var instance;
+    var port;
+
+    before(function (done) {
+        instance = server.createServer({ static: require('path').join(__dirname, '..') });
+        instance.listen(0, '127.0.0.1', () => {
+            port = instance.address().port;
+            done();
+        });
+    });
+
+    after(function (done) {
+        instance.close(done);
+    });
+
+    function request(method, path, body) {
+        return new Promise((resolve, reject) => {
+            var req = http.request({ host: '127.0.0.1', port: port, method: method, path: path }, res => {
+                var chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf-8') }));
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    it('should redirect /<arn> to the console link', async function () {
+        var res = await request('GET', '/arn:aws:iam::123456789012:user/test');
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.location, 'https://console.aws.amazon.com/iam/home?#/users/test');
+        res = await request('GET', '/' + encodeURIComponent('arn:aws:s3:::abcdefgh1234'));
+        assert.equal(res.headers.location, 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234');
+    });
+
+    it('should answer errors with 400, 404 and 422', async function () {
+        assert.equal((await request('GET', '/arn:aws:s3')).status, 400);
+        var res = await request('GET', '/arn:aws:lamda:us-east-1:123456789012:function:f');
+        assert.equal(res.status, 404);
+        assert.equal(res.body, 'AWS service lamda unknown (did you mean lambda?)\n');
+        assert.equal((await request('GET', '/arn:aws:iam::123456789012:UNSUPPORTED/test')).status, 422);
+        assert.equal((await request('GET', '/arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/1234')).status, 422);
+        assert.equal((await request('GET', '/nothing-here')).status, 404);
+        assert.equal((await request('GET', '/%E0%A4%A')).status, 400);
+        assert.equal((await request('DELETE', '/arn:aws:s3:::abcdefgh1234')).status, 405);
+    });
+
+    it('should return links as JSON', async function () {
+        var res = await request('GET', '/api/link?arn=' + encodeURIComponent('arn:aws:s3:::abcdefgh1234'));
+        assert.equal(res.status, 200);
+        assert.equal(res.headers['content-type'], 'application/json; charset=utf-8');
+        assert.deepEqual(JSON.parse(res.body), { ok: true, link: 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234' });
+
+        res = await request('GET', '/api/link?arn=arn:aws:lamda:us-east-1:123456789012:function:f');
+        assert.equal(res.status, 404);
+        assert.deepEqual(JSON.parse(res.body).error, { code: 'UNKNOWN_SERVICE', message: 'AWS service lamda unknown (did you mean lambda?)', suggestions: ['lambda'] });
+        assert.equal((await request('GET', '/api/link?arn=foo')).status, 400);
+        assert.equal((await request('GET', '/api/link')).status, 400);
+    });
+
+    it('should return many links as JSON', async function () {
+        var res = await request('POST', '/api/links', JSON.stringify({ arns: ['arn:aws:s3:::abcdefgh1234', 'foo'] }));
+        assert.equal(res.status, 200);
+        var results = JSON.parse(res.body).results;
+        assert.deepEqual(results[0], { arn: 'arn:aws:s3:::abcdefgh1234', ok: true, link: 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234' });
+        assert.equal(results[1].error.code, 'INVALID_ARN');
+
+        assert.equal((await request('POST', '/api/links', '{')).status, 400);
+        assert.equal((await request('POST', '/api/links', '{"arns": "arn:aws:s3:::abcdefgh1234"}')).status, 400);
+        assert.equal((await request('POST', '/api/links', 'x'.repeat(1024 * 1024 + 1))).status, 413);
+        assert.equal((await request('GET', '/api/links')).status, 405);
+    });
+
+    it('should report health', async function () {
+        var res = await request('GET', '/health');
+        assert.equal(res.status, 200);
+        assert.equal(JSON.parse(res.body).status, 'ok');
+    });
+
+    it('should serve the website with static, and nothing else', async function () {
+        var res = await request('GET', '/');
+        assert.equal(res.status, 200);
+        assert.ok(res.body.includes('<title>link2aws'));
+        assert.equal((await request('GET', '/link2aws.js')).headers['content-type'], 'text/javascript; charset=utf-8');
+        assert.equal((await request('GET', '/package.json')).status, 404);
+        assert.equal((await request('GET', '/../package.json')).status, 404);
+    });
+
+    it('should not serve the website without static', async function () {
+        var res = await new Promise(resolve => {
+            var res = { writeHead: (status) => { res.status = status; }, end: () => resolve(res) };
+            server.handler({})({ method: 'GET', url: '/' }, res);
+        });
+        assert.equal(res.status, 404);
+    });
+
+    it('should be started by "link2aws serve"', async function () {
+        var err = '';
+        var io = {
+            stdin: stream.Readable.from([]),
+            stdout: { write: () => true },
+            stderr: { write: (s) => { err += s; return true; } },
+            env: {},
+            onListening: (s) => {
+                http.get({ host: '127.0.0.1', port: s.address().port, path: '/arn:aws:s3:::abcdefgh1234' }, res => {
+                    assert.equal(res.headers.location, 'https://s3.console.aws.amazon.com/s3/buckets/abcdefgh1234?region=eu-west-1');
+                    res.resume();
+                    s.close();
+                });
+            },
+        };
+        assert.equal(await cli.main(['serve', '--port', '0', '--region', 'eu-west-1'], io), 0);
+        assert.ok(/^link2aws: listening on http:\/\/127\.0\.0\.1:\d+\/\n$/.test(err));
+
+        assert.equal(await cli.main(['serve', '--port', 'http'], io), 1);
+        assert.equal(await cli.main(['serve', '--bogus'], io), 1);
+    });
+});
+
+describe('chat', function () {
+    var fixtures = require('../testcases/chat-requests.json');
+    var requests = fixtures.requests;
+    var options = {
+        slack: { signingSecret: fixtures.slackSigningSecret },
+        mattermost: { token: fixtures.mattermostToken },
+        now: () => fixtures.slackTimestamp,
+    };
+
+    describe('.verifySlackRequest(headers, body, signingSecret, now)', function () {
+        var request = requests.slack;
+
+        it('should accept signed requests', function () {
+            assert.equal(chat.verifySlackRequest(request.headers, request.body, fixtures.slackSigningSecret, fixtures.slackTimestamp + 60), true);
+        });
+
+        it('should reject tampered, old and unsigned requests', function () {
+            var secret = fixtures.slackSigningSecret;
+            var now = fixtures.slackTimestamp;
+            assert.equal(chat.verifySlackRequest(request.headers, request.body.replace('my-service', 'other'), secret, now), false);
+            assert.equal(chat.verifySlackRequest(request.headers, request.body, 'wrong secret', now), false);
+            assert.equal(chat.verifySlackRequest(request.headers, request.body, secret, now + 301), false);
+            assert.equal(chat.verifySlackRequest(request.headers, request.body, '', now), false);
+            assert.equal(chat.verifySlackRequest({ 'x-slack-request-timestamp': request.headers['x-slack-request-timestamp'] }, request.body, secret, now), false);
+            assert.equal(chat.verifySlackRequest(Object.assign({}, request.headers, { 'x-slack-signature': 'v0=00' }), request.body, secret, now), false);
+        });
+    });
+
+    describe('.handleSlack(headers, body, options)', function () {
+        it('should reply with link and breakdown', function () {
+            var reply = chat.handleSlack(requests.slack.headers, requests.slack.body, options);
+            assert.equal(reply.status, 200);
+            assert.deepEqual(reply.body, {
+                response_type: 'in_channel',
+                text: 'https://us-east-1.console.aws.amazon.com/ecs/v2/clusters/my-cluster/services/my-service?region=us-east-1',
+                blocks: [
+                    { type: 'section', text: { type: 'mrkdwn', text: '<https://us-east-1.console.aws.amazon.com/ecs/v2/clusters/my-cluster/services/my-service?region=us-east-1|arn:aws:ecs:us-east-1:123456789012:service/my-cluster/my-service>' } },
+                    {
+                        type: 'section', fields: [
+                            { type: 'mrkdwn', text: '*Service*\necs' },
+                            { type: 'mrkdwn', text: '*Region*\nus-east-1' },
+                            { type: 'mrkdwn', text: '*Account*\n123456789012' },
+                            { type: 'mrkdwn', text: '*Resource*\nservice/my-cluster/my-service' },
+                        ]
+                    },
+                ],
+            });
+        });
+
+        it('should link every ARN, and list the ones without link', function () {
+            var reply = chat.handleSlack(requests.slackMany.headers, requests.slackMany.body, options).body;
+            assert.equal(reply.response_type, 'in_channel');
+            assert.equal(reply.blocks.length, 3);
+            assert.equal(reply.blocks[2].elements[0].text, 'No console link for `arn:aws:sdb:us-east-1:123456789012:domain/x`: AWS service sdb resource type domain not supported');
+        });
+
+        it('should reply with ephemeral errors', function () {
+            assert.deepEqual(chat.handleSlack(requests.slackUnsupported.headers, requests.slackUnsupported.body, options), {
+                status: 200,
+                body: { response_type: 'ephemeral', text: 'No console link for `arn:aws:lamda:us-east-1:123456789012:function:f`: AWS service lamda unknown (did you mean lambda?)' },
+            });
+            assert.equal(chat.handleSlack(requests.slackEmpty.headers, requests.slackEmpty.body, options).body.response_type, 'ephemeral');
+        });
+
+        it('should show account names', function () {
+            var accounts = new main.AccountDirectory({ '123456789012': 'prod-payments' });
+            var reply = chat.handleSlack(requests.slack.headers, requests.slack.body, Object.assign({ accounts: accounts }, options)).body;
+            assert.equal(reply.blocks[1].fields[2].text, '*Account*\nprod-payments (123456789012)');
+        });
+
+        it('should reject unsigned requests', function () {
+            assert.equal(chat.handleSlack(requests.slack.headers, requests.slack.body, Object.assign({}, options, { now: () => fixtures.slackTimestamp + 3600 })).status, 401);
+            assert.equal(chat.handleSlack(requests.mattermost.headers, requests.mattermost.body, options).status, 401);
+        });
+    });
+
+    describe('.handleMattermost(headers, body, options)', function () {
+        it('should reply with link and breakdown', function () {
+            var reply = chat.handleMattermost(requests.mattermost.headers, requests.mattermost.body, options);
+            assert.equal(reply.status, 200);
+            assert.deepEqual(reply.body, {
+                response_type: 'in_channel',
+                text: '',
+                attachments: [{
+                    fallback: 'https://console.aws.amazon.com/iam/home?#/users/alice',
+                    title: 'arn:aws:iam::123456789012:user/alice',
+                    title_link: 'https://console.aws.amazon.com/iam/home?#/users/alice',
+                    fields: [
+                        { title: 'Service', value: 'iam', short: true },
+                        { title: 'Region', value: '(none)', short: true },
+                        { title: 'Account', value: '123456789012', short: true },
+                        { title: 'Resource', value: 'user/alice', short: true },
+                    ],
+                }],
+            });
+        });
+
+        it('should reply with ephemeral errors', function () {
+            var reply = chat.handleMattermost(requests.mattermostUnsupported.headers, requests.mattermostUnsupported.body, options).body;
+            assert.equal(reply.response_type, 'ephemeral');
+            assert.ok(reply.text.includes('resource type UNSUPPORTED not supported'));
+        });
+
+        it('should reject requests with a wrong token', function () {
+            assert.equal(chat.handleMattermost(requests.mattermost.headers, requests.mattermost.body, { mattermost: { token: 'other' } }).status, 401);
+            assert.equal(chat.handleMattermost(requests.mattermost.headers, requests.mattermost.body, {}).status, 401);
+        });
+    });
+
+    describe('server', function () {
+        function post(handler, path, request) {
+            return new Promise(resolve => {
+                var req = stream.Readable.from([Buffer.from(request.body)]);
+                Object.assign(req, { method: 'POST', url: path, headers: request.headers });
+                var res = {
+                    headers: {},
+                    setHeader: (name, value) => { res.headers[name] = value; },
+                    writeHead: (status, headers) => { res.status = status; Object.assign(res.headers, headers); },
+                    end: (body) => { res.body = body; resolve(res); },
+                };
+                handler(req, res);
+            });
+        }
+
+        it('should answer slash commands when configured', async function () {
+            var res = await post(server.handler(options), '/chat/slack', requests.slack);
+            assert.equal(res.status, 200);
+            assert.equal(res.headers['Content-Type'], 'application/json; charset=utf-8');
+            assert.equal(JSON.parse(res.body).response_type, 'in_channel');
+            res = await post(server.handler(options), '/chat/mattermost', requests.mattermost);
+            assert.equal(JSON.parse(res.body).attachments.length, 1);
+            assert.equal((await post(server.handler(options), '/chat/slack', requests.mattermost)).status, 401);
+        });
+
+        it('should not answer slash commands when not configured', async function () {
+            assert.equal((await post(server.handler({}), '/chat/slack', requests.slack)).status, 404);
+            assert.equal((await post(server.handler({}), '/chat/mattermost', requests.mattermost)).status, 404);
+        });
+    });
+});
+
+describe('cloudtrail', function () {
+    var logFile = fs.readFileSync('testcases/cloudtrail-records.json');
+    var lookupEvents = fs.readFileSync('testcases/cloudtrail-lookup-events.json');
+
+    async function records(input) {
+        var result = [];
+        for await (const record of cloudtrail.readRecords(input)) {
+            result.push(record);
+        }
+        return result;
+    }
+
+    // `buffer` in pieces of `size` bytes, as a stream would deliver it
+    function pieces(buffer, size) {
+        var result = [];
+        for (let i = 0; i < buffer.length; i += size) {
+            result.push(buffer.subarray(i, i + size));
+        }
+        return result;
+    }
+
+    describe('.readRecords(input)', function () {
+        it('should read the records of a log file, however it is split', async function () {
+            var expected = JSON.parse(logFile).Records;
+            for (const size of [1, 7, 100, logFile.length]) {
+                assert.deepEqual(await records(pieces(logFile, size)), expected);
+            }
+            assert.deepEqual(await records(fs.createReadStream('testcases/cloudtrail-records.json')), expected);
+        });
+
+        it('should read gzipped log files', async function () {
+            var expected = JSON.parse(logFile).Records;
+            assert.deepEqual(await records(pieces(zlib.gzipSync(logFile), 100)), expected);
+        });
+
+        it('should read lookup-events output', async function () {
+            var result = await records([lookupEvents]);
+            assert.deepEqual(result[0], JSON.parse(JSON.parse(lookupEvents).Events[0].CloudTrailEvent));
+            // without CloudTrailEvent: only resources given by ARN
+            assert.deepEqual(result[1].resources, [{ ARN: 'arn:aws:s3:::old-bucket-5678', type: 'AWS::S3::Bucket' }]);
+            assert.equal(result.length, 2);
+        });
+
+        it('should read arrays of records and one record per line', async function () {
+            assert.deepEqual((await records(['[{"eventID": "a"}, {"eventID": "b"}]'])).map(r => r.eventID), ['a', 'b']);
+            assert.deepEqual((await records(['{"eventID": "a"}\n{"eventID": "b", "x": "{[\\""}\n'])).map(r => r.eventID), ['a', 'b']);
+            assert.deepEqual(await records([]), []);
+        });
+
+        it('should only take keys for the array of events, not values', async function () {
+            assert.deepEqual(await records(['{"note": "Records", "other": [{"eventID": "a"}]}']), [{ note: 'Records', other: [{ eventID: 'a' }] }]);
+            await assert.rejects(records(['{"note": "Records", [{"eventID": "a"}]}']), SyntaxError);
+        });
+
+        it('should reject what isn\'t CloudTrail JSON', async function () {
+            await assert.rejects(records(['{"Records": [{"eventID": "a"}']), /Unexpected end of JSON/);
+            await assert.rejects(records(['"Records"']), /Expected CloudTrail events/);
+            await assert.rejects(records(['{"Records": [{"eventID": a}]}']), SyntaxError);
+            await assert.rejects(records([zlib.gzipSync(logFile).subarray(0, 50)]), Error);
+        });
+    });
+
+    describe('.linkEvent(record, options)', function () {
+        var logRecords = JSON.parse(logFile).Records;
+
+        it('should link the principal and the resources', function () {
+            assert.deepEqual(cloudtrail.linkEvent(logRecords[1]), {
+                eventID: '5d2e8f3a-6b7c-4d9e-8f1a-2c3b4d5e6f12',
+                eventTime: '2024-03-05T09:14:02Z',
+                eventSource: 'iam.amazonaws.com',
+                eventName: 'AttachRolePolicy',
+                awsRegion: 'us-east-1',
+                principals: [
+                    {
+                        field: 'userIdentity.arn',
+                        arn: 'arn:aws:sts::123456789012:assumed-role/Admin/alice',
+                        link: 'https://console.aws.amazon.com/iam/home?#/roles/Admin',
+                    },
+                    {
+                        field: 'userIdentity.sessionContext.sessionIssuer.arn',
+                        arn: 'arn:aws:iam::123456789012:role/Admin',
+                        link: 'https://console.aws.amazon.com/iam/home?#/roles/Admin',
+                    },
+                ],
+                resources: [
+                    {
+                        field: 'requestParameters.policyArn',
+                        arn: 'arn:aws:iam::aws:policy/AWSLambdaExecute',
+                        link: 'https://console.aws.amazon.com/iam/home?#/policies/arn:aws:iam::aws:policy/AWSLambdaExecute',
+                    },
+                ],
+            });
+        });
+
+        it('should list each ARN once, where it is found first', function () {
+            var event = cloudtrail.linkEvent(logRecords[0]);
+            assert.deepEqual(event.resources.map(entry => [entry.field, entry.arn]), [
+                ['resources[0].ARN', 'arn:aws:iam::123456789012:role/Admin'],
+                ['responseElements.assumedRoleUser.arn', 'arn:aws:sts::123456789012:assumed-role/Admin/alice'],
+            ]);
+            assert.deepEqual(cloudtrail.linkEvent(logRecords[2]).resources.map(entry => entry.arn), ['arn:aws:s3:::my-bucket-1234/reports/q3.csv', 'arn:aws:s3:::my-bucket-1234']);
+            assert.deepEqual(cloudtrail.linkEvent({ requestParameters: { arns: ['arn:aws:s3:::abcdefgh1234', 'arn:aws:s3:::abcdefgh1234', 'not an arn:'] } }).resources.map(entry => entry.field), ['requestParameters.arns[0]']);
+        });
+
+        it('should pass options on', function () {
+            var accounts = new main.AccountDirectory({ '123456789012': { name: 'prod-payments', team: 'payments' } });
+            var event = cloudtrail.linkEvent(logRecords[0], { accounts: accounts, sso: { portal: 'my-portal', defaultRole: 'ReadOnly' } });
+            assert.equal(event.principals[0].link,
+                'https://my-portal.awsapps.com/start/#/console?account_id=123456789012&role_name=ReadOnly&destination=' + encodeURIComponent('https://console.aws.amazon.com/iam/home?#/users/alice'));
+            assert.equal(event.principals[0].account_alias, 'prod-payments');
+            assert.equal(event.principals[0].account_environment, null);
+            assert.equal(event.principals[0].account_unknown, false);
+        });
+
+        it('should report ARNs without console link', function () {
+            assert.deepEqual(cloudtrail.linkEvent({ resources: [{ ARN: 'arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/1234' }] }).resources, [{
+                field: 'resources[0].ARN',
+                arn: 'arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/1234',
+                link: null,
+                error: { code: 'RESOURCE_TYPE_NOT_LINKED', message: 'AWS service acm-pca resource type certificate-authority not supported' },
+            }]);
+        });
+
+        it('should cope with events without ARNs', function () {
+            assert.deepEqual(cloudtrail.linkEvent({}), {
+                eventID: null, eventTime: null, eventSource: null, eventName: null, awsRegion: null, principals: [], resources: [],
+            });
+        });
+    });
+
+    describe('cli', function () {
+        it('should list the events of log files, with links', async function () {
+            var result = await run(['cloudtrail', 'testcases/cloudtrail-records.json']);
+            assert.equal(result.code, 0);
+            assert.equal(result.err, '');
+            assert.equal(result.out.split('\n').slice(0, 9).join('\n'), [
+                '2024-03-05T09:12:44Z sts.amazonaws.com AssumeRole 0f5bc8a6-51d5-4c1e-8e0f-6d2a7b3c9e11',
+                '  principal\tarn:aws:iam::123456789012:user/alice\thttps://console.aws.amazon.com/iam/home?#/users/alice',
+                '  resource\tarn:aws:iam::123456789012:role/Admin\thttps://console.aws.amazon.com/iam/home?#/roles/Admin',
+                '  resource\tarn:aws:sts::123456789012:assumed-role/Admin/alice\thttps://console.aws.amazon.com/iam/home?#/roles/Admin',
+                '2024-03-05T09:14:02Z iam.amazonaws.com AttachRolePolicy 5d2e8f3a-6b7c-4d9e-8f1a-2c3b4d5e6f12',
+                '  principal\tarn:aws:sts::123456789012:assumed-role/Admin/alice\thttps://console.aws.amazon.com/iam/home?#/roles/Admin',
+                '  principal\tarn:aws:iam::123456789012:role/Admin\thttps://console.aws.amazon.com/iam/home?#/roles/Admin',
+                '  resource\tarn:aws:iam::aws:policy/AWSLambdaExecute\thttps://console.aws.amazon.com/iam/home?#/policies/arn:aws:iam::aws:policy/AWSLambdaExecute',
+                '2024-03-05T09:20:31Z s3.amazonaws.com PutObject 9a8b7c6d-5e4f-4a3b-2c1d-0e9f8a7b6c13',
+            ].join('\n'));
+        });
+
+        it('should print JSON, one event per line', async function () {
+            var result = await run(['cloudtrail', '--format', 'json'], zlib.gzipSync(logFile));
+            var events = result.out.trim().split('\n').map(line => JSON.parse(line));
+            assert.deepEqual(events, JSON.parse(logFile).Records.map(record => cloudtrail.linkEvent(record)));
+        });
+
+        it('should print Markdown', async function () {
+            var result = await run(['cloudtrail', '--format=markdown', '--accounts', 'testcases/accounts.json', '-'], lookupEvents);
+            assert.equal(result.out.split('\n').slice(0, 5).join('\n'), [
+                '### 2024-03-05T09:16:40Z UpdateFunctionConfiguration20150331v2 (lambda.amazonaws.com)',
+                '',
+                '- principal: [arn:aws:sts::123456789012:assumed-role/Admin/alice](https://console.aws.amazon.com/iam/home?#/roles/Admin "prod-payments")',
+                '- principal: [arn:aws:iam::123456789012:role/Admin](https://console.aws.amazon.com/iam/home?#/roles/Admin "prod-payments")',
+                '- resource: [arn:aws:iam::123456789012:role/export-reports](https://console.aws.amazon.com/iam/home?#/roles/export-reports "prod-payments")',
+            ].join('\n'));
+
+            result = await run(['cloudtrail', '--format=markdown'], '{"eventID": "a", "resources": [{"ARN": "arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/1234"}]}\n');
+            assert.ok(result.out.includes('- resource: `arn:aws:acm-pca:us-east-1:123456789012:certificate-authority/1234` (no console link)\n'));
+        });
+
+        it('should read the log files in directories, and go on after bad files', async function () {
+            var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'link2aws-'));
+            try {
+                var logs = path.join(dir, 'AWSLogs', '123456789012', 'CloudTrail', 'us-east-1', '2024', '03', '05');
+                fs.mkdirSync(logs, { recursive: true });
+                fs.mkdirSync(path.join(dir, 'AWSLogs', '123456789012', 'CloudTrail-Digest'));
+                fs.writeFileSync(path.join(logs, 'b.json.gz'), zlib.gzipSync(logFile));
+                fs.writeFileSync(path.join(logs, 'a.json'), '{"Records": [{"eventID": "a"');
+                fs.writeFileSync(path.join(logs, 'notes.txt'), 'not a log file');
+                fs.writeFileSync(path.join(dir, 'AWSLogs', '123456789012', 'CloudTrail-Digest', 'digest.json'), '{"logFiles": []}');
+
+                var result = await run(['cloudtrail', '--format', 'json', dir, path.join(dir, 'missing.json')]);
+                assert.equal(result.code, 1);
+                assert.deepEqual(result.out.trim().split('\n').map(line => JSON.parse(line).eventID), JSON.parse(logFile).Records.map(record => record.eventID));
+                assert.equal(result.err.split('\n')[0], `link2aws: ${path.join(logs, 'a.json')}: Unexpected end of JSON`);
+                assert.match(result.err.split('\n')[1], /^link2aws: ENOENT/);
+            } finally {
+                fs.rmSync(dir, { recursive: true });
+            }
+        });
+
+        it('should reject bad options', async function () {
+            var result = await run(['cloudtrail', '--format', 'csv']);
+            assert.equal(result.code, 1);
+            assert.match(result.err, /^link2aws: Unknown format: csv\nUsage:/);
+        });
+    });
+});
+
+describe('linkify-page', function () {
+    function page(options) {
+        return new JSDOM(fs.readFileSync('testcases/page.html', 'utf-8'), options);
+    }
+
+    function links(document) {
+        return Array.from(document.querySelectorAll('a[data-link2aws]')).map(a => [a.textContent, a.href]);
+    }
+
+    function tick() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    describe('#linkifyNode(root)', function () {
+        it('should link ARNs in text', function () {
+            var document = page().window.document;
+            assert.equal(linkifyPage.linkifyNode(document.body), 4);
+            assert.deepEqual(links(document), [
+                ['arn:aws:ec2:us-east-1:123456789012:instance/i-0123456789abcdef0', 'https://us-east-1.console.aws.amazon.com/ec2/home?region=us-east-1#InstanceDetails:instanceId=i-0123456789abcdef0'],
+                ['arn:aws:s3:::my-bucket', 'https://s3.console.aws.amazon.com/s3/buckets/my-bucket'],
+                ['arn:aws:iam::123456789012:role/deploy', 'https://console.aws.amazon.com/iam/home?#/roles/deploy'],
+                ['arn:aws:s3:::in-code', 'https://s3.console.aws.amazon.com/s3/buckets/in-code'],
+            ]);
+            // the text around them is kept
+            assert.equal(document.getElementById('text').textContent,
+                'Restart arn:aws:ec2:us-east-1:123456789012:instance/i-0123456789abcdef0, then check arn:aws:s3:::my-bucket.');
+            assert.equal(document.querySelector('#nested b a').getAttribute('rel'), 'noopener noreferrer');
+        });
+
+        it('should leave inputs, editors, scripts, URLs and existing links alone', function () {
+            var document = page().window.document;
+            linkifyPage.linkifyNode(document.documentElement);
+            for (const id of ['unlinked', 'url', 'input', 'textarea', 'editable', 'editor']) {
+                assert.equal(document.getElementById(id).querySelector('a[data-link2aws]'), null, id);
+            }
+            assert.equal(document.querySelector('#linked a').href, 'https://example.com/');
+            assert.equal(document.querySelector('script').textContent, 'var bucket = "arn:aws:s3:::in-script";');
+            assert.equal(document.getElementById('textarea').value, 'arn:aws:s3:::in-textarea');
+        });
+
+        it('should not link twice', function () {
+            var document = page().window.document;
+            linkifyPage.linkifyNode(document.body);
+            assert.equal(linkifyPage.linkifyNode(document.body), 0);
+            assert.equal(links(document).length, 4);
+        });
+
+        it('should pass options on', function () {
+            var document = page().window.document;
+            var accounts = new main.AccountDirectory({ '123456789012': 'prod' });
+            linkifyPage.linkifyNode(document.getElementById('nested'), { accounts: accounts });
+            assert.equal(document.querySelector('#nested a').title, 'prod (123456789012)');
+        });
+    });
+
+    describe('#run(document)', function () {
+        it('should link content added later', async function () {
+            var document = page().window.document;
+            var result = linkifyPage.run(document);
+            assert.equal(result.links, 4);
+
+            var p = document.createElement('p');
+            p.innerHTML = 'New: <i>arn:aws:s3:::added-later</i>';
+            document.body.appendChild(p);
+            document.getElementById('unlinked').firstChild.data = 'Now arn:aws:s3:::changed-later';
+            await tick();
+            assert.equal(links(document).length, 6);
+            assert.equal(p.querySelector('a').textContent, 'arn:aws:s3:::added-later');
+            assert.equal(document.querySelector('#unlinked a').textContent, 'arn:aws:s3:::changed-later');
+            assert.equal(p.textContent, 'New: arn:aws:s3:::added-later');
+
+            // a second run links nothing and doesn't observe again
+            assert.deepEqual(linkifyPage.run(document), { links: 0, observer: null });
+            result.observer.disconnect();
+        });
+    });
+
+    describe('build', function () {
+        it('should build a userscript that links the page', async function () {
+            var dom = page({ runScripts: 'outside-only' });
+            dom.window.eval(build.userscript());
+            assert.equal(links(dom.window.document).length, 4);
+            assert.ok(build.userscript().startsWith('// ==UserScript==\n'));
+        });
+
+        it('should build a bookmarklet that links the page', function () {
+            var bookmarklet = build.bookmarklet();
+            assert.ok(bookmarklet.startsWith('javascript:'));
+            var dom = page({ runScripts: 'outside-only' });
+            // pages with an AMD loader have a global "require"
+            dom.window.eval('var require = function () { throw Error("called require"); }; require.main = undefined;');
+            dom.window.eval(decodeURIComponent(bookmarklet.slice('javascript:'.length)));
+            assert.equal(links(dom.window.document).length, 4);
+        });
+
+        it('should not send anything anywhere', function () {
+            var scripts = {
+                userscript: build.userscript(),
+                bookmarklet: decodeURIComponent(build.bookmarklet().slice('javascript:'.length)),
+            };
+            for (const [name, script] of Object.entries(scripts)) {
+                for (const api of ['fetch(', 'XMLHttpRequest', 'sendBeacon', 'WebSocket', 'EventSource', 'new Image', 'import(', "createElement('script')", 'createElement("script")', '.src =']) {
+                    assert.ok(!script.includes(api), `${name}: ${api}`);
+                }
+            }
+        });
+    });
+});
@@ -0,0 +1,9 @@
+// Custom templates for testing "link2aws --templates".
+module.exports = {
+    "acm-pca": {
+        "certificate-authority": (arn) => `https://dashboard.example.com/pca/${arn.region}/${arn.resource}`,
+    },
+    "s3": {
+        "": (arn) => `https://dashboard.example.com/s3/${arn.resource}`,
+    },
+};